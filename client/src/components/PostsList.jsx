@@ -23,12 +23,16 @@ function PostsList() {
       setLoading(true);
       setError(null);
 
-      // Measure API call performance
+      // Measure API call performance. Only the fields shown in the list are
+      // fetched, so full post content isn't downloaded.
       const response = await measureAPICall('Fetch Posts', async () => {
-        return api.get('/posts');
+        return api.get('/posts', {
+          params: { fields: 'title,excerpt,author,readingTime,createdAt' },
+        });
       });
 
-      setPosts(response.data);
+      // The API wraps results in a pagination envelope
+      setPosts(response.data.data);
     } catch (err) {
       setError(err.message || 'Failed to fetch posts');
       console.error('Error fetching posts:', err);
@@ -69,8 +73,10 @@ function PostsList() {
               }}
             >
               <h3>{post.title}</h3>
-              <p>{post.content}</p>
-              <small>By: {post.author?.username || 'Unknown'}</small>
+              <p>{post.excerpt}</p>
+              <small>
+                By: {post.author?.username || 'Unknown'} · {post.readingTime} min read
+              </small>
             </li>
           ))}
         </ul>
@@ -1,5 +1,19 @@
 // client/src/utils/api.js
 import axios from 'axios';
+import { toast } from 'react-toastify';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids let support match a failed request to the server logs
+const createRequestId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Show the error with its request id so users can quote it
+const showErrorToast = (message, requestId) => {
+  toast.error(requestId ? `${message} (Request ID: ${requestId})` : message);
+};
 
 const api = axios.create({
   baseURL: import.meta.env.VITE_API_URL || 'http://localhost:5000/api',
@@ -15,6 +29,8 @@ api.interceptors.request.use(
       config.headers.Authorization = `Bearer ${token}`;
     }
 
+    config.headers[REQUEST_ID_HEADER] = createRequestId();
+
     // Log request in development
     if (import.meta.env.DEV) {
       console.log('API Request:', {
@@ -46,13 +62,23 @@ api.interceptors.response.use(
     return response;
   },
   (error) => {
+    // The server echoes our id; fall back to it if the response has none
+    const sentRequestId = error.config && error.config.headers[REQUEST_ID_HEADER];
+
     // Handle different error types
     if (error.response) {
-      const { status, data } = error.response;
+      const { status, data, headers } = error.response;
+
+      // Server errors share one envelope: { error: { status, code, message, errors, requestId } }
+      const apiError = (data && data.error) || {};
+      error.code = apiError.code || error.code;
+      error.apiError = apiError;
+      error.requestId =
+        apiError.requestId || (headers && headers['x-request-id']) || sentRequestId;
 
       switch (status) {
         case 400:
-          console.error('Bad request:', data.error);
+          console.error('Bad request:', apiError.message, apiError.errors || '');
           break;
         case 401:
           console.error('Unauthorized. Please login.');
@@ -60,19 +86,26 @@ api.interceptors.response.use(
           window.location.href = '/login';
           break;
         case 403:
-          console.error('Forbidden:', data.error);
+          console.error('Forbidden:', apiError.message);
           break;
         case 404:
-          console.error('Not found:', data.error);
+          console.error('Not found:', apiError.message);
           break;
         case 500:
-          console.error('Server error:', data.error);
+          console.error('Server error:', apiError.message, `(request ${error.requestId})`);
           break;
         default:
-          console.error('Error:', data.error || 'Something went wrong');
+          console.error('Error:', apiError.message || 'Something went wrong');
+      }
+
+      // Logging out redirects, so there is nothing to show
+      if (status !== 401) {
+        showErrorToast(apiError.message || 'Something went wrong', error.requestId);
       }
     } else if (error.request) {
+      error.requestId = sentRequestId;
       console.error('Network error. Please check your connection');
+      showErrorToast('Network error. Please check your connection', sentRequestId);
     } else {
       console.error('Error:', error.message);
     }
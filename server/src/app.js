@@ -2,35 +2,68 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
+const { requestId, REQUEST_ID_HEADER } = require('./middleware/requestId');
+const { requestLogger } = require('./utils/logger');
+const { performanceMonitor, metricsHandler } = require('./middleware/performanceMonitor');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { config } = require('./config');
 
 const app = express();
 
+// Behind a load balancer req.ip is the proxy's address unless it is trusted,
+// which would put every client in the same rate limit bucket
+app.set('trust proxy', config.trustProxy);
+
 // Middleware
-app.use(cors());
+app.use(requestId);
+app.use(requestLogger);
+app.use(performanceMonitor());
+// Let browser clients read the request id and rate limit headers
+app.use(
+  cors({
+    exposedHeaders: [
+      REQUEST_ID_HEADER,
+      'Retry-After',
+      'RateLimit-Limit',
+      'RateLimit-Remaining',
+      'RateLimit-Reset',
+    ],
+  })
+);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Basic health check route
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', message: 'Server is running' });
-});
+// Health check and probe routes
+app.use('/health', require('./routes/health'));
+
+// Prometheus scrape endpoint
+app.get('/metrics', metricsHandler);
 
 // API routes
 app.get('/api', (req, res) => {
   res.json({ message: 'API is working' });
 });
 
+// Auth routes
+app.use('/api/auth', require('./routes/auth'));
+
 // Posts routes
 app.use('/api/posts', require('./routes/posts'));
 
+// Categories routes
+app.use('/api/categories', require('./routes/categories'));
+
+// Tags routes
+app.use('/api/tags', require('./routes/tags'));
+
+// Users routes
+app.use('/api/users', require('./routes/users'));
+
+// Unmatched routes
+app.use(notFound);
+
 // Error handling middleware (should be last)
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(err.statusCode || 500).json({
-    success: false,
-    error: err.message || 'Internal Server Error',
-  });
-});
+app.use(errorHandler);
 
 module.exports = app;
 
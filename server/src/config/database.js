@@ -0,0 +1,86 @@
+// server/src/config/database.js - MongoDB connection with retries
+const mongoose = require('mongoose');
+const { createLogger } = require('../utils/logger');
+
+const logger = createLogger('database');
+
+let stopped = false;
+// Ends the current wait between attempts early
+let cancelWait = null;
+let eventsAttached = false;
+
+/**
+ * Delay before retry number `attempt` (0-based): doubles each time up to
+ * `maxRetryDelayMs`
+ */
+const backoffDelay = (attempt, { retryDelayMs, maxRetryDelayMs }) =>
+  Math.min(retryDelayMs * 2 ** attempt, maxRetryDelayMs);
+
+const logConnectionEvents = (connection) => {
+  connection.on('connected', () => logger.info('MongoDB connected'));
+  connection.on('disconnected', () => logger.warn('MongoDB disconnected'));
+  connection.on('reconnected', () => logger.info('MongoDB reconnected'));
+  connection.on('error', (error) => {
+    logger.error({ message: 'MongoDB connection error', error: error.message });
+  });
+};
+
+const wait = (ms) =>
+  new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    cancelWait = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+
+/**
+ * Connect to MongoDB, retrying failed attempts with exponential backoff.
+ * Rejects with the last error after `connectRetries` retries, or as soon
+ * as disconnectDatabase() is called.
+ */
+const connectDatabase = async ({
+  uri,
+  connectRetries,
+  retryDelayMs,
+  maxRetryDelayMs,
+  serverSelectionTimeoutMs,
+}) => {
+  if (!eventsAttached) {
+    logConnectionEvents(mongoose.connection);
+    eventsAttached = true;
+  }
+  stopped = false;
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      await mongoose.connect(uri, { serverSelectionTimeoutMS: serverSelectionTimeoutMs });
+      return mongoose.connection;
+    } catch (error) {
+      if (stopped || attempt >= connectRetries) throw error;
+
+      const delayMs = backoffDelay(attempt, { retryDelayMs, maxRetryDelayMs });
+      logger.warn({
+        message: 'MongoDB connection failed, retrying',
+        attempt: attempt + 1,
+        retries: connectRetries,
+        delayMs,
+        error: error.message,
+      });
+
+      await wait(delayMs);
+      if (stopped) throw new Error('Database connection cancelled');
+    }
+  }
+};
+
+/**
+ * Stop any pending retries and close the connection
+ */
+const disconnectDatabase = async () => {
+  stopped = true;
+  if (cancelWait) cancelWait();
+  await mongoose.connection.close();
+};
+
+module.exports = { connectDatabase, disconnectDatabase, backoffDelay };
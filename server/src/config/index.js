@@ -0,0 +1,124 @@
+// server/src/config/index.js - Validated application configuration
+require('dotenv').config();
+
+const DEFAULT_JWT_SECRET = 'your-secret-key-change-in-production';
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+const LOG_LEVELS = ['error', 'warn', 'info', 'http', 'verbose', 'debug', 'silly'];
+const ENVIRONMENTS = ['development', 'production', 'test'];
+
+/**
+ * Raised when the environment doesn't describe a runnable configuration.
+ * `problems` lists one readable message per invalid variable.
+ */
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// A non-negative integer variable, or the fallback when unset
+const readInteger = (env, name, fallback, problems, { min = 0, max } = {}) => {
+  const raw = env[name];
+  if (raw === undefined || raw === '') return fallback;
+
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || (max !== undefined && value > max)) {
+    const range = max !== undefined ? `between ${min} and ${max}` : `at least ${min}`;
+    problems.push(`${name} must be an integer ${range} (got "${raw}")`);
+    return fallback;
+  }
+
+  return value;
+};
+
+/**
+ * Read and validate configuration from `env`.
+ * Throws a ConfigError listing every problem at once.
+ */
+const loadConfig = (env = process.env) => {
+  const problems = [];
+  const nodeEnv = env.NODE_ENV || 'development';
+  const isProduction = nodeEnv === 'production';
+
+  if (!ENVIRONMENTS.includes(nodeEnv)) {
+    problems.push(`NODE_ENV must be one of: ${ENVIRONMENTS.join(', ')} (got "${nodeEnv}")`);
+  }
+
+  const integer = (name, fallback, range) => readInteger(env, name, fallback, problems, range);
+
+  const port = integer('PORT', 5000, { min: 1, max: 65535 });
+
+  // MONGODB_URI is the name used by earlier versions of the README
+  const mongoUri = env.MONGO_URI || env.MONGODB_URI;
+  if (!mongoUri && isProduction) {
+    problems.push('MONGO_URI must be set in production');
+  } else if (mongoUri && !/^mongodb(\+srv)?:\/\//.test(mongoUri)) {
+    problems.push('MONGO_URI must start with mongodb:// or mongodb+srv://');
+  }
+
+  const jwtSecret = env.JWT_SECRET || DEFAULT_JWT_SECRET;
+  if (isProduction) {
+    if (jwtSecret === DEFAULT_JWT_SECRET) {
+      problems.push('JWT_SECRET must be set to a private value in production');
+    } else if (jwtSecret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+      problems.push(
+        `JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`
+      );
+    }
+  }
+
+  // A number with a unit, or a plain number of seconds. jsonwebtoken reads
+  // numeric strings as milliseconds, so plain numbers are passed as Numbers.
+  const rawJwtExpire = env.JWT_EXPIRE || '15m';
+  if (!/^\d+(\s?(ms|s|m|h|d|w|y))?$/.test(rawJwtExpire)) {
+    problems.push(`JWT_EXPIRE must be a duration such as 15m, 12h or 7d (got "${rawJwtExpire}")`);
+  }
+  const jwtExpire = /^\d+$/.test(rawJwtExpire) ? Number(rawJwtExpire) : rawJwtExpire;
+
+  // Express "trust proxy": true/false, a hop count, or a list of trusted
+  // addresses and subnets. Off by default so clients can't spoof their IP
+  // through X-Forwarded-For; rate limiters key on the resulting req.ip.
+  const rawTrustProxy = (env.TRUST_PROXY || '').trim();
+  let trustProxy = false;
+  if (rawTrustProxy === 'true') {
+    trustProxy = true;
+  } else if (/^\d+$/.test(rawTrustProxy)) {
+    trustProxy = Number(rawTrustProxy);
+  } else if (rawTrustProxy && rawTrustProxy !== 'false') {
+    trustProxy = rawTrustProxy;
+  }
+
+  const logLevel = env.LOG_LEVEL || 'info';
+  if (!LOG_LEVELS.includes(logLevel)) {
+    problems.push(`LOG_LEVEL must be one of: ${LOG_LEVELS.join(', ')} (got "${logLevel}")`);
+  }
+
+  const mongo = {
+    uri: mongoUri || 'mongodb://localhost:27017/mern-testing-app',
+    connectRetries: integer('MONGO_CONNECT_RETRIES', 10),
+    retryDelayMs: integer('MONGO_RETRY_DELAY_MS', 1000, { min: 1 }),
+    maxRetryDelayMs: integer('MONGO_MAX_RETRY_DELAY_MS', 30 * 1000, { min: 1 }),
+    serverSelectionTimeoutMs: integer('MONGO_SERVER_SELECTION_TIMEOUT_MS', 5000, { min: 1 }),
+  };
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return Object.freeze({
+    env: nodeEnv,
+    isProduction,
+    port,
+    mongo: Object.freeze(mongo),
+    jwt: Object.freeze({ secret: jwtSecret, expire: jwtExpire }),
+    logLevel,
+    trustProxy,
+  });
+};
+
+// Loaded once so a bad environment fails at startup rather than mid-request
+const config = loadConfig();
+
+module.exports = { config, loadConfig, ConfigError, DEFAULT_JWT_SECRET };
@@ -0,0 +1,131 @@
+// server/src/controllers/authController.js
+const User = require('../models/User');
+const {
+  generateToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require('../utils/auth');
+const { UnauthorizedError, NotFoundError, ConflictError } = require('../utils/errors');
+
+// @desc    Register a new user
+// @route   POST /api/auth/register
+// @access  Public
+const register = async (req, res, next) => {
+  try {
+    const { username, email, password } = req.body;
+
+    // Check for existing username or email
+    const existingUser = await User.findOne({
+      $or: [{ username }, { email: email.toLowerCase() }],
+    });
+
+    if (existingUser) {
+      const field = existingUser.username === username ? 'Username' : 'Email';
+      throw new ConflictError(`${field} is already registered`, `${field.toUpperCase()}_TAKEN`);
+    }
+
+    const user = await User.create({ username, email, password });
+
+    res.status(201).json({
+      token: generateToken(user),
+      refreshToken: await issueRefreshToken(user),
+      user,
+    });
+  } catch (error) {
+    // Lost a race against a concurrent registration
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyValue)[0];
+      return next(
+        new ConflictError(`${field} is already registered`, `${field.toUpperCase()}_TAKEN`)
+      );
+    }
+    next(error);
+  }
+};
+
+// @desc    Log in with email and password
+// @route   POST /api/auth/login
+// @access  Public
+const login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    // Same response for unknown email and wrong password
+    if (!user || !(await user.comparePassword(password))) {
+      throw new UnauthorizedError('Invalid email or password', 'INVALID_CREDENTIALS');
+    }
+
+    res.status(200).json({
+      token: generateToken(user),
+      refreshToken: await issueRefreshToken(user),
+      user,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateRefreshToken(refreshToken);
+
+    if (!result) {
+      throw new UnauthorizedError('Invalid or expired refresh token', 'REFRESH_TOKEN_INVALID');
+    }
+
+    res.status(200).json({
+      token: result.token,
+      refreshToken: result.refreshToken,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log out, revoking the refresh token family and issued access tokens
+// @route   POST /api/auth/logout
+// @access  Public
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    await revokeRefreshToken(refreshToken);
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the currently authenticated user
+// @route   GET /api/auth/me
+// @access  Private
+const getMe = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe,
+};
@@ -0,0 +1,190 @@
+// server/src/controllers/categoriesController.js
+const Category = require('../models/Category');
+const Post = require('../models/Post');
+const { BadRequestError, NotFoundError, ConflictError } = require('../utils/errors');
+
+/**
+ * Attach a count of published posts to each category with a single aggregation
+ */
+const withPostCounts = async (categories) => {
+  const counts = await Post.aggregate([
+    { $match: { category: { $in: categories.map((c) => c._id) }, status: 'published' } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+
+  const countById = new Map(counts.map((c) => [c._id.toString(), c.count]));
+
+  return categories.map((category) => ({
+    ...category.toObject(),
+    postCount: countById.get(category._id.toString()) || 0,
+  }));
+};
+
+/**
+ * Resolve a parent reference (id or slug) to a category id.
+ * Returns null for an explicit "no parent" and undefined if not found.
+ */
+const resolveParent = async (parent) => {
+  if (parent === null || parent === '') return null;
+
+  const category = await Category.findByIdOrSlug(parent);
+  return category ? category._id : undefined;
+};
+
+/**
+ * Check whether making parentId the parent of categoryId would create a loop
+ */
+const createsCycle = async (categoryId, parentId) => {
+  let current = parentId;
+
+  while (current) {
+    if (current.toString() === categoryId.toString()) {
+      return true;
+    }
+    const ancestor = await Category.findById(current).select('parent');
+    current = ancestor ? ancestor.parent : null;
+  }
+
+  return false;
+};
+
+// @desc    Get all categories
+// @route   GET /api/categories
+// @access  Public
+const getCategories = async (req, res, next) => {
+  try {
+    const categories = await Category.find().sort('name');
+
+    res.status(200).json(await withPostCounts(categories));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single category by ID or slug
+// @route   GET /api/categories/:idOrSlug
+// @access  Public
+const getCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findByIdOrSlug(req.params.idOrSlug);
+
+    if (!category) {
+      throw new NotFoundError('Category not found', 'CATEGORY_NOT_FOUND');
+    }
+
+    const [result] = await withPostCounts([category]);
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create new category
+// @route   POST /api/categories
+// @access  Private
+const createCategory = async (req, res, next) => {
+  try {
+    const { name, slug, description, parent } = req.body;
+
+    let parentId = null;
+    if (parent !== undefined) {
+      parentId = await resolveParent(parent);
+      if (parentId === undefined) {
+        throw new BadRequestError('Parent category not found', 'PARENT_CATEGORY_NOT_FOUND');
+      }
+    }
+
+    const category = await Category.create({
+      name,
+      slug,
+      description,
+      parent: parentId,
+    });
+
+    res.status(201).json({ ...category.toObject(), postCount: 0 });
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(
+        new ConflictError('A category with this slug already exists', 'CATEGORY_SLUG_TAKEN')
+      );
+    }
+    next(error);
+  }
+};
+
+// @desc    Update category
+// @route   PUT /api/categories/:idOrSlug
+// @access  Private
+const updateCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findByIdOrSlug(req.params.idOrSlug);
+
+    if (!category) {
+      throw new NotFoundError('Category not found', 'CATEGORY_NOT_FOUND');
+    }
+
+    const { name, slug, description, parent } = req.body;
+
+    if (parent !== undefined) {
+      const parentId = await resolveParent(parent);
+
+      if (parentId === undefined) {
+        throw new BadRequestError('Parent category not found', 'PARENT_CATEGORY_NOT_FOUND');
+      }
+
+      if (parentId && (await createsCycle(category._id, parentId))) {
+        throw new BadRequestError('A category cannot be nested inside itself', 'CATEGORY_CYCLE');
+      }
+
+      category.parent = parentId;
+    }
+
+    if (name !== undefined) category.name = name;
+    if (slug !== undefined) category.slug = slug;
+    if (description !== undefined) category.description = description;
+
+    await category.save();
+
+    const [result] = await withPostCounts([category]);
+
+    res.status(200).json(result);
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(
+        new ConflictError('A category with this slug already exists', 'CATEGORY_SLUG_TAKEN')
+      );
+    }
+    next(error);
+  }
+};
+
+// @desc    Delete category
+// @route   DELETE /api/categories/:idOrSlug
+// @access  Private
+const deleteCategory = async (req, res, next) => {
+  try {
+    const category = await Category.findByIdOrSlug(req.params.idOrSlug);
+
+    if (!category) {
+      throw new NotFoundError('Category not found', 'CATEGORY_NOT_FOUND');
+    }
+
+    // Move subcategories up a level and uncategorize posts
+    await Category.updateMany({ parent: category._id }, { parent: category.parent });
+    await Post.updateMany({ category: category._id }, { $unset: { category: '' } });
+    await Category.findByIdAndDelete(category._id);
+
+    res.status(200).json({ message: 'Category deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,215 @@
+// server/src/controllers/commentsController.js
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const { canModify, isVisibleTo } = require('../utils/permissions');
+const { parsePagination, sendPage } = require('../utils/pagination');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const COMMENT_EDIT_WINDOW_MS = Number(process.env.COMMENT_EDIT_WINDOW_MS) || 15 * 60 * 1000;
+const DELETED_PLACEHOLDER = '[deleted]';
+
+/**
+ * Load a post for comment routes, treating invisible posts as missing
+ */
+const findVisiblePost = async (req) => {
+  const post = await Post.findById(req.params.id).select('status author');
+
+  if (!post || !isVisibleTo(post, req.user)) {
+    throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+  }
+
+  return post;
+};
+
+/**
+ * Load a comment belonging to the post in the URL, which must be visible
+ */
+const findComment = async (req) => {
+  const post = await findVisiblePost(req);
+
+  const comment = await Comment.findOne({ _id: req.params.commentId, post: post._id });
+
+  if (!comment) {
+    throw new NotFoundError('Comment not found', 'COMMENT_NOT_FOUND');
+  }
+
+  return comment;
+};
+
+/**
+ * Nest replies under their parents, preserving chronological order
+ */
+const buildThreads = (roots, replies) => {
+  const nodes = new Map();
+
+  [...roots, ...replies].forEach((comment) => {
+    nodes.set(comment._id.toString(), { ...comment, replies: [] });
+  });
+
+  replies.forEach((reply) => {
+    const parent = nodes.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(nodes.get(reply._id.toString()));
+    }
+  });
+
+  return roots.map((root) => nodes.get(root._id.toString()));
+};
+
+// @desc    Get threaded comments for a post, paginated by top-level comment
+// @route   GET /api/posts/:id/comments
+// @access  Public
+const getComments = async (req, res, next) => {
+  try {
+    const post = await findVisiblePost(req);
+
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = { post: post._id, parent: null };
+
+    const [roots, total] = await Promise.all([
+      Comment.find(query)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'username')
+        .lean(),
+      Comment.countDocuments(query),
+    ]);
+
+    const replies = await Comment.find({ root: { $in: roots.map((c) => c._id) } })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate('author', 'username')
+      .lean();
+
+    sendPage(req, res, { data: buildThreads(roots, replies), total, page, limit });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a comment or reply
+// @route   POST /api/posts/:id/comments
+// @access  Private
+const createComment = async (req, res, next) => {
+  try {
+    const post = await findVisiblePost(req);
+
+    const { content, parent } = req.body;
+
+    if (post.status !== 'published') {
+      throw new BadRequestError('Cannot comment on an unpublished post', 'POST_NOT_PUBLISHED');
+    }
+
+    let parentComment = null;
+    if (parent) {
+      parentComment = await Comment.findOne({ _id: parent, post: post._id });
+
+      if (!parentComment || parentComment.deletedAt) {
+        throw new BadRequestError('Parent comment not found', 'PARENT_COMMENT_NOT_FOUND');
+      }
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      author: req.user.id,
+      content,
+      parent: parentComment ? parentComment._id : null,
+      root: parentComment ? parentComment.root || parentComment._id : null,
+    });
+
+    await Post.updateOne({ _id: post._id }, { $inc: { commentsCount: 1 } });
+
+    res.status(201).json(comment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit a comment within the edit window
+// @route   PUT /api/posts/:id/comments/:commentId
+// @access  Private
+const updateComment = async (req, res, next) => {
+  try {
+    const comment = await findComment(req);
+
+    const { content } = req.body;
+
+    if (comment.deletedAt) {
+      throw new NotFoundError('Comment not found', 'COMMENT_NOT_FOUND');
+    }
+
+    // Only the author may edit, and only for a short while
+    if (String(comment.author) !== String(req.user.id)) {
+      throw new ForbiddenError('Not authorized to edit this comment', 'COMMENT_FORBIDDEN');
+    }
+
+    if (Date.now() - comment.createdAt.getTime() > COMMENT_EDIT_WINDOW_MS) {
+      throw new ForbiddenError(
+        'The edit window for this comment has closed',
+        'COMMENT_EDIT_WINDOW_CLOSED'
+      );
+    }
+
+    comment.content = content;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.status(200).json(comment);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a comment, leaving a placeholder if it has replies
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @access  Private
+const deleteComment = async (req, res, next) => {
+  try {
+    const comment = await findComment(req);
+
+    if (comment.deletedAt) {
+      throw new NotFoundError('Comment not found', 'COMMENT_NOT_FOUND');
+    }
+
+    // Check if user is the author or a moderator
+    if (!canModify(req.user, comment.author)) {
+      throw new ForbiddenError('Not authorized to delete this comment', 'COMMENT_FORBIDDEN');
+    }
+
+    const hasReplies = await Comment.exists({ parent: comment._id });
+
+    if (hasReplies) {
+      // Keep the thread intact
+      comment.content = DELETED_PLACEHOLDER;
+      comment.author = null;
+      comment.deletedAt = new Date();
+      await comment.save();
+    } else {
+      await Comment.deleteOne({ _id: comment._id });
+
+      // Remove placeholders left without any replies
+      let parentId = comment.parent;
+      while (parentId) {
+        const parent = await Comment.findById(parentId);
+        if (!parent || !parent.deletedAt || (await Comment.exists({ parent: parent._id }))) {
+          break;
+        }
+        await Comment.deleteOne({ _id: parent._id });
+        parentId = parent.parent;
+      }
+    }
+
+    await Post.updateOne({ _id: comment.post }, { $inc: { commentsCount: -1 } });
+
+    res.status(200).json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
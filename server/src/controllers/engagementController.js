@@ -0,0 +1,135 @@
+// server/src/controllers/engagementController.js
+const Bookmark = require('../models/Bookmark');
+const Like = require('../models/Like');
+const Post = require('../models/Post');
+const { isVisibleTo } = require('../utils/permissions');
+const { NotFoundError } = require('../utils/errors');
+
+/**
+ * Load a post the current user can see
+ */
+const findVisiblePost = async (req) => {
+  const post = await Post.findById(req.params.id).select('status author likesCount');
+
+  if (!post || !isVisibleTo(post, req.user)) {
+    throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+  }
+
+  return post;
+};
+
+/**
+ * Add a (post, user) record if missing. Returns true if one was created.
+ * Repeated calls are no-ops, including concurrent ones.
+ */
+const addOnce = async (Model, post, user) => {
+  try {
+    const result = await Model.updateOne(
+      { post: post._id, user },
+      { $setOnInsert: { post: post._id, user } },
+      { upsert: true }
+    );
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // A concurrent request inserted it first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+/**
+ * Remove a (post, user) record. Returns true if one was removed.
+ */
+const removeOnce = async (Model, post, user) => {
+  const result = await Model.deleteOne({ post: post._id, user });
+  return result.deletedCount > 0;
+};
+
+/**
+ * Apply a like change and respond with the current like state
+ */
+const setLiked = async (req, res, liked) => {
+  const post = await findVisiblePost(req);
+
+  const changed = liked
+    ? await addOnce(Like, post, req.user.id)
+    : await removeOnce(Like, post, req.user.id);
+
+  let { likesCount } = post;
+  if (changed) {
+    const updated = await Post.findByIdAndUpdate(
+      post._id,
+      { $inc: { likesCount: liked ? 1 : -1 } },
+      { new: true }
+    ).select('likesCount');
+    likesCount = updated ? updated.likesCount : likesCount;
+  }
+
+  res.status(200).json({ liked, likesCount });
+};
+
+/**
+ * Apply a bookmark change and respond with the current bookmark state
+ */
+const setBookmarked = async (req, res, bookmarked) => {
+  const post = await findVisiblePost(req);
+
+  if (bookmarked) {
+    await addOnce(Bookmark, post, req.user.id);
+  } else {
+    await removeOnce(Bookmark, post, req.user.id);
+  }
+
+  res.status(200).json({ bookmarked });
+};
+
+// @desc    Like a post
+// @route   POST /api/posts/:id/like
+// @access  Private
+const likePost = async (req, res, next) => {
+  try {
+    await setLiked(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a like from a post
+// @route   DELETE /api/posts/:id/like
+// @access  Private
+const unlikePost = async (req, res, next) => {
+  try {
+    await setLiked(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Bookmark a post
+// @route   POST /api/posts/:id/bookmark
+// @access  Private
+const bookmarkPost = async (req, res, next) => {
+  try {
+    await setBookmarked(req, res, true);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a post from bookmarks
+// @route   DELETE /api/posts/:id/bookmark
+// @access  Private
+const unbookmarkPost = async (req, res, next) => {
+  try {
+    await setBookmarked(req, res, false);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  likePost,
+  unlikePost,
+  bookmarkPost,
+  unbookmarkPost,
+};
@@ -0,0 +1,88 @@
+// server/src/controllers/healthController.js
+const mongoose = require('mongoose');
+const { scheduler } = require('../utils/scheduler');
+const { viewCounter } = require('../utils/viewCounter');
+const { isShuttingDown } = require('../utils/shutdown');
+
+const DB_PING_TIMEOUT_MS = Number(process.env.HEALTH_DB_PING_TIMEOUT_MS) || 2000;
+
+/**
+ * The database is ready when mongoose is connected and answers a ping
+ */
+const checkDatabase = async () => {
+  const { readyState } = mongoose.connection;
+  const state = mongoose.STATES[readyState];
+
+  if (readyState !== mongoose.STATES.connected) {
+    return { status: 'down', state };
+  }
+
+  const start = Date.now();
+  let timer;
+
+  try {
+    await Promise.race([
+      mongoose.connection.db.admin().ping(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error('Ping timed out')), DB_PING_TIMEOUT_MS);
+      }),
+    ]);
+    return { status: 'up', state, latencyMs: Date.now() - start };
+  } catch (error) {
+    return { status: 'down', state, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Scheduled jobs must be running. A job whose last run failed is reported
+ * but doesn't make the instance unready, since requests can still be served.
+ */
+const checkScheduler = () => {
+  const { running, jobs } = scheduler.status();
+
+  return { status: running ? 'up' : 'down', jobs };
+};
+
+// Views counted in memory and waiting for the next flush
+const checkViewQueue = () => ({ status: 'up', pending: viewCounter.pendingTotal() });
+
+// @desc    Basic health check
+// @route   GET /health
+// @access  Public
+const getHealth = (req, res) => {
+  res.json({ status: 'ok', message: 'Server is running' });
+};
+
+// @desc    Liveness probe: the process is up and handling requests
+// @route   GET /health/live
+// @access  Public
+const getLiveness = (req, res) => {
+  res.json({ status: 'ok', uptime: process.uptime() });
+};
+
+// @desc    Readiness probe: dependencies are available to serve traffic
+// @route   GET /health/ready
+// @access  Public
+const getReadiness = async (req, res, next) => {
+  try {
+    const checks = {
+      database: await checkDatabase(),
+      scheduler: checkScheduler(),
+      viewQueue: checkViewQueue(),
+    };
+    const shuttingDown = isShuttingDown();
+    const ready = !shuttingDown && Object.values(checks).every((c) => c.status === 'up');
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? 'ok' : 'unavailable',
+      shuttingDown,
+      checks,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getHealth, getLiveness, getReadiness };
@@ -1,31 +1,192 @@
 // server/src/controllers/postsController.js
 const Post = require('../models/Post');
-const mongoose = require('mongoose');
+const PostView = require('../models/PostView');
+const Revision = require('../models/Revision');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { canModify, visibilityFilter, isVisibleTo } = require('../utils/permissions');
+const { normalizeTags, parseSearchTerms, highlightMatches } = require('../utils/helpers');
+const { withViewerFlags } = require('../utils/engagement');
+const { renderMarkdown } = require('../utils/markdown');
+const {
+  parsePagination,
+  decodeCursor,
+  cursorFilter,
+  sendPage,
+  sendCursorPage,
+} = require('../utils/pagination');
+const { viewCounter, viewerKey } = require('../utils/viewCounter');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Count a read of a published post towards its views
+ */
+const recordView = (post, req) => {
+  if (post.status === 'published') {
+    viewCounter.record(post._id, viewerKey(req));
+  }
+};
+
+/**
+ * Projection for a post query. ?fields= limits the response to the listed
+ * fields (plus `required`, which the handler itself needs); rendered HTML
+ * is only loaded when the client asks for it with ?html=true.
+ */
+const postSelection = (req, required = []) => {
+  const { fields, html } = req.query;
+
+  if (!fields) return html ? '+contentHtml' : '';
+
+  const selected = new Set([...fields, ...required]);
+  if (html) selected.add('contentHtml');
+  return [...selected].join(' ');
+};
+
+/**
+ * Posts saved before Markdown rendering existed have no stored HTML yet;
+ * render it on the fly for them
+ */
+const ensureContentHtml = (posts, req) => {
+  if (req.query.html) {
+    posts.forEach((post) => {
+      if (post.contentHtml == null && post.content != null) {
+        post.contentHtml = renderMarkdown(post.content);
+      }
+    });
+  }
+  return posts;
+};
+
+/**
+ * Resolve a category given as an ObjectId or a slug to the id of an
+ * existing category. Returns null if no match.
+ */
+const resolveCategory = async (value) => {
+  const category = await Category.findByIdOrSlug(value).select('_id');
+  return category ? category._id : null;
+};
 
 // @desc    Get all posts
 // @route   GET /api/posts
 // @access  Public
 const getPosts = async (req, res, next) => {
   try {
-    const { category, page = 1, limit = 10, sort = '-createdAt' } = req.query;
+    const { category, status, tags, tagMatch, cursor, sort = '-createdAt' } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
 
     // Build query
-    const query = {};
+    const query = { $and: [visibilityFilter(req.user)] };
     if (category) {
-      query.category = category;
+      // Unknown category slug matches nothing
+      query.category = (await resolveCategory(category)) || { $in: [] };
+    }
+    if (status) {
+      query.status = status;
+    }
+    if (tags) {
+      // Posts with any of the tags by default, or all of them with tagMatch=all
+      const tagList = normalizeTags(tags);
+      query.tags = tagMatch === 'all' ? { $all: tagList } : { $in: tagList };
     }
 
-    // Calculate pagination
-    const skip = (page - 1) * limit;
+    // Cursor mode: stable newest-first order for infinite scroll
+    if (cursor !== undefined) {
+      if (cursor) {
+        const position = decodeCursor(cursor);
+        if (!position) {
+          throw new BadRequestError('Invalid cursor', 'INVALID_CURSOR');
+        }
+        query.$and.push(cursorFilter(position));
+      }
+
+      const posts = await Post.find(query)
+        // The next cursor is built from createdAt
+        .select(postSelection(req, ['createdAt']))
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1)
+        .populate('author', 'username avatarUrl');
+
+      ensureContentHtml(posts, req);
+
+      return sendCursorPage(req, res, { data: await withViewerFlags(posts, req.user), limit });
+    }
 
     // Execute query
-    const posts = await Post.find(query)
-      .sort(sort)
-      .limit(parseInt(limit))
-      .skip(skip)
-      .populate('author', 'username email');
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .select(postSelection(req))
+        .sort(sort)
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'username avatarUrl'),
+      Post.countDocuments(query),
+    ]);
+
+    ensureContentHtml(posts, req);
+
+    sendPage(req, res, { data: await withViewerFlags(posts, req.user), total, page, limit });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Full-text search posts
+// @route   GET /api/posts/search
+// @access  Public
+const searchPosts = async (req, res, next) => {
+  try {
+    const { q, category, author, status, sort = 'relevance' } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    // Build query
+    const query = {
+      $text: { $search: String(q) },
+      $and: [visibilityFilter(req.user)],
+    };
+
+    if (category) {
+      query.category = (await resolveCategory(category)) || { $in: [] };
+    }
+
+    if (author) {
+      if (/^[a-f\d]{24}$/i.test(String(author))) {
+        query.author = author;
+      } else {
+        const user = await User.findOne({ username: author }).select('_id');
+        query.author = user ? user._id : { $in: [] };
+      }
+    }
+
+    if (status) {
+      query.status = status;
+    }
+
+    const sortBy = sort === 'relevance' ? { score: { $meta: 'textScore' } } : sort;
+
+    const [posts, total] = await Promise.all([
+      Post.find(query, { score: { $meta: 'textScore' } })
+        .select(postSelection(req))
+        .sort(sortBy)
+        .skip(skip)
+        .limit(limit)
+        .populate('author', 'username avatarUrl')
+        .lean(),
+      Post.countDocuments(query),
+    ]);
+
+    const terms = parseSearchTerms(String(q));
 
-    res.status(200).json(posts);
+    const flagged = await withViewerFlags(posts, req.user);
+
+    const data = flagged.map((post) => ({
+      ...post,
+      highlights: {
+        title: highlightMatches(post.title, terms, 100),
+        content: highlightMatches(post.content, terms),
+      },
+    }));
+
+    sendPage(req, res, { data, total, page, limit });
   } catch (error) {
     next(error);
   }
@@ -38,18 +199,22 @@ const getPostById = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Validate ObjectId
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: 'Invalid post ID format' });
+    const post = await Post.findById(id)
+      .select(postSelection(req))
+      .populate('author', 'username avatarUrl')
+      .populate('category', 'name slug');
+
+    // Drafts are only visible to their author and moderators
+    if (!post || !isVisibleTo(post, req.user)) {
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
     }
 
-    const post = await Post.findById(id).populate('author', 'username email');
+    recordView(post, req);
+    ensureContentHtml([post], req);
 
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const [result] = await withViewerFlags([post], req.user);
 
-    res.status(200).json(post);
+    res.status(200).json(result);
   } catch (error) {
     next(error);
   }
@@ -62,13 +227,31 @@ const getPostBySlug = async (req, res, next) => {
   try {
     const { slug } = req.params;
 
-    const post = await Post.findOne({ slug }).populate('author', 'username email');
+    const post = await Post.findOne({ slug })
+      .select(postSelection(req))
+      .populate('author', 'username avatarUrl')
+      .populate('category', 'name slug');
 
     if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+      // Old slugs permanently redirect to the current one
+      const renamed = await Post.findOne({ slugHistory: slug }).select('slug status author');
+      if (renamed && isVisibleTo(renamed, req.user)) {
+        return res.redirect(301, `${req.baseUrl}/slug/${renamed.slug}`);
+      }
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
     }
 
-    res.status(200).json(post);
+    // Drafts are only visible to their author and moderators
+    if (!isVisibleTo(post, req.user)) {
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+    }
+
+    recordView(post, req);
+    ensureContentHtml([post], req);
+
+    const [result] = await withViewerFlags([post], req.user);
+
+    res.status(200).json(result);
   } catch (error) {
     next(error);
   }
@@ -79,30 +262,30 @@ const getPostBySlug = async (req, res, next) => {
 // @access  Private
 const createPost = async (req, res, next) => {
   try {
-    const { title, content, category } = req.body;
-
-    // Validation
-    if (!title) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
+    const { title, content, category, tags, customExcerpt, publishAt } = req.body;
 
-    if (!content) {
-      return res.status(400).json({ error: 'Content is required' });
+    let categoryId;
+    if (category) {
+      categoryId = await resolveCategory(category);
+      if (!categoryId) {
+        throw new BadRequestError('Category not found', 'CATEGORY_NOT_FOUND');
+      }
     }
 
     // Create post
-    const post = await Post.create({
+    const post = new Post({
       title,
       content,
-      category,
+      category: categoryId,
+      tags,
+      customExcerpt,
+      publishAt: publishAt || null,
       author: req.user.id,
     });
+    await post.saveWithUniqueSlug();
 
     res.status(201).json(post);
   } catch (error) {
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ error: error.message });
-    }
     next(error);
   }
 };
@@ -114,37 +297,37 @@ const updatePost = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Validate ObjectId
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: 'Invalid post ID format' });
-    }
-
     const post = await Post.findById(id);
 
     if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
     }
 
-    // Check if user is the author
-    if (post.author.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to update this post' });
+    // Check if user is the author or a moderator
+    if (!canModify(req.user, post.author)) {
+      throw new ForbiddenError('Not authorized to update this post', 'POST_FORBIDDEN');
     }
 
-    // Don't allow updating author field
-    delete req.body.author;
+    if (req.body.category) {
+      req.body.category = await resolveCategory(req.body.category);
+      if (!req.body.category) {
+        throw new BadRequestError('Category not found', 'CATEGORY_NOT_FOUND');
+      }
+    }
+
+    const previous = Revision.snapshotOf(post);
 
-    // Update post
-    const updatedPost = await Post.findByIdAndUpdate(
-      id,
-      req.body,
-      { new: true, runValidators: true }
-    );
+    // Update post through save() so slug hooks run on title changes
+    post.set(req.body);
+    const changedFields = Revision.TRACKED_FIELDS.filter((field) => post.isModified(field));
+    const updatedPost = await post.saveWithUniqueSlug();
+
+    if (changedFields.length > 0) {
+      await Revision.record(updatedPost, previous, { editor: req.user.id, changedFields });
+    }
 
     res.status(200).json(updatedPost);
   } catch (error) {
-    if (error.name === 'ValidationError') {
-      return res.status(400).json({ error: error.message });
-    }
     next(error);
   }
 };
@@ -156,25 +339,176 @@ const deletePost = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Validate ObjectId
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ error: 'Invalid post ID format' });
+    const post = await Post.findById(id);
+
+    if (!post) {
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
     }
 
+    // Check if user is the author or a moderator
+    if (!canModify(req.user, post.author)) {
+      throw new ForbiddenError('Not authorized to delete this post', 'POST_FORBIDDEN');
+    }
+
+    // Soft delete: the post stays in the trash until it is restored or purged
+    post.deletedAt = new Date();
+    await post.save();
+
+    res.status(200).json({ message: 'Post moved to trash' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's trashed posts
+// @route   GET /api/posts/trash
+// @access  Private
+const getTrash = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const query = { author: req.user.id, deletedAt: { $ne: null } };
+
+    const [posts, total] = await Promise.all([
+      Post.find(query)
+        .select(postSelection(req))
+        .populate('category', 'name slug')
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit),
+      Post.countDocuments(query),
+    ]);
+
+    sendPage(req, res, { data: await withViewerFlags(posts, req.user), total, page, limit });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a post from the trash
+// @route   POST /api/posts/:id/restore
+// @access  Private
+const restorePost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findById(id).setOptions({ withDeleted: true });
+
+    if (!post) {
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+    }
+
+    // Check if user is the author or a moderator
+    if (!canModify(req.user, post.author)) {
+      throw new ForbiddenError('Not authorized to restore this post', 'POST_FORBIDDEN');
+    }
+
+    if (!post.deletedAt) {
+      throw new BadRequestError('Post is not in the trash', 'POST_NOT_IN_TRASH');
+    }
+
+    post.deletedAt = null;
+    const restoredPost = await post.save();
+
+    res.status(200).json(restoredPost);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Publish post now, or schedule it with publishAt
+// @route   POST /api/posts/:id/publish
+// @access  Private
+const publishPost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { publishAt } = req.body;
+
     const post = await Post.findById(id);
 
     if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+    }
+
+    // Check if user is the author or a moderator
+    if (!canModify(req.user, post.author)) {
+      throw new ForbiddenError('Not authorized to publish this post', 'POST_FORBIDDEN');
     }
 
-    // Check if user is the author
-    if (post.author.toString() !== req.user.id) {
-      return res.status(403).json({ error: 'Not authorized to delete this post' });
+    if (publishAt && publishAt > new Date()) {
+      // Leave as a draft for the scheduler to publish
+      post.status = 'draft';
+      post.publishAt = publishAt;
+    } else {
+      post.status = 'published';
     }
 
-    await Post.findByIdAndDelete(id);
+    await post.save();
 
-    res.status(200).json({ message: 'Post deleted successfully' });
+    res.status(200).json(post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revert post to draft and cancel any scheduled publishing
+// @route   POST /api/posts/:id/unpublish
+// @access  Private
+const unpublishPost = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findById(id);
+
+    if (!post) {
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+    }
+
+    // Check if user is the author or a moderator
+    if (!canModify(req.user, post.author)) {
+      throw new ForbiddenError('Not authorized to unpublish this post', 'POST_FORBIDDEN');
+    }
+
+    post.status = 'draft';
+    post.publishAt = null;
+    await post.save();
+
+    res.status(200).json(post);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get view statistics for a post
+// @route   GET /api/posts/:id/stats
+// @access  Private
+const getPostStats = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findById(id).select('author views');
+
+    if (!post) {
+      throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+    }
+
+    // Check if user is the author or a moderator
+    if (!canModify(req.user, post.author)) {
+      throw new ForbiddenError('Not authorized to view stats for this post', 'POST_FORBIDDEN');
+    }
+
+    // Write buffered views so the numbers are current
+    await viewCounter.flush();
+
+    const [fresh, uniqueViews] = await Promise.all([
+      Post.findById(id).select('views'),
+      PostView.countDocuments({ post: id }),
+    ]);
+
+    res.status(200).json({
+      postId: id,
+      views: fresh.views,
+      uniqueViews,
+    });
   } catch (error) {
     next(error);
   }
@@ -182,9 +516,15 @@ const deletePost = async (req, res, next) => {
 
 module.exports = {
   getPosts,
+  searchPosts,
   getPostById,
   getPostBySlug,
   createPost,
   updatePost,
   deletePost,
+  getTrash,
+  restorePost,
+  publishPost,
+  unpublishPost,
+  getPostStats,
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+// server/src/controllers/revisionsController.js
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Revision = require('../models/Revision');
+const { canModify } = require('../utils/permissions');
+const { diffLines } = require('../utils/diff');
+const { ForbiddenError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Load a post the current user may edit
+ */
+const findEditablePost = async (req) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    throw new NotFoundError('Post not found', 'POST_NOT_FOUND');
+  }
+
+  // Same rule as updating the post
+  if (!canModify(req.user, post.author)) {
+    throw new ForbiddenError('Not authorized to access revisions of this post', 'POST_FORBIDDEN');
+  }
+
+  return post;
+};
+
+/**
+ * Find a revision of a post by its number, or null
+ */
+const findRevision = (postId, rev) => Revision.findOne({ post: postId, rev });
+
+// @desc    List revisions of a post, newest first
+// @route   GET /api/posts/:id/revisions
+// @access  Private
+const getRevisions = async (req, res, next) => {
+  try {
+    const post = await findEditablePost(req);
+
+    const revisions = await Revision.find({ post: post._id })
+      .sort({ rev: -1 })
+      .select('-snapshot.content')
+      .populate('editor', 'username');
+
+    res.status(200).json(revisions);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Line-level diff between two revisions
+// @route   GET /api/posts/:id/revisions/diff?from=&to=
+// @access  Private
+const getRevisionDiff = async (req, res, next) => {
+  try {
+    const post = await findEditablePost(req);
+
+    const { from, to } = req.query;
+
+    const [before, after] = await Promise.all([
+      findRevision(post._id, from),
+      findRevision(post._id, to),
+    ]);
+
+    if (!before || !after) {
+      throw new NotFoundError('Revision not found', 'REVISION_NOT_FOUND');
+    }
+
+    const changes = {};
+    ['title', 'category', 'tags'].forEach((field) => {
+      const a = before.snapshot[field] ?? null;
+      const b = after.snapshot[field] ?? null;
+      if (String(a) !== String(b)) {
+        changes[field] = { from: a, to: b };
+      }
+    });
+
+    res.status(200).json({
+      from: before.rev,
+      to: after.rev,
+      changes,
+      content: diffLines(before.snapshot.content, after.snapshot.content),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a post to an earlier revision
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @access  Private
+const restoreRevision = async (req, res, next) => {
+  try {
+    const post = await findEditablePost(req);
+
+    const revision = await findRevision(post._id, req.params.rev);
+
+    if (!revision) {
+      throw new NotFoundError('Revision not found', 'REVISION_NOT_FOUND');
+    }
+
+    const previous = Revision.snapshotOf(post);
+    const { title, content, category, tags } = revision.snapshot;
+
+    post.title = title;
+    post.content = content;
+    post.tags = tags;
+    // The category may have been deleted since
+    post.category = category && (await Category.exists({ _id: category })) ? category : null;
+
+    const changedFields = Revision.TRACKED_FIELDS.filter((field) => post.isModified(field));
+    const restoredPost = await post.saveWithUniqueSlug();
+
+    if (changedFields.length > 0) {
+      await Revision.record(restoredPost, previous, {
+        editor: req.user.id,
+        changedFields,
+        restoredFrom: revision.rev,
+      });
+    }
+
+    res.status(200).json(restoredPost);
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision,
+};
@@ -0,0 +1,77 @@
+// server/src/controllers/tagsController.js
+const Post = require('../models/Post');
+const { generateSlug } = require('../utils/helpers');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// @desc    Get tag usage counts across published posts
+// @route   GET /api/tags
+// @access  Public
+const getTags = async (req, res, next) => {
+  try {
+    const { limit } = req.query;
+
+    const pipeline = [
+      { $match: { status: 'published' } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ];
+
+    if (limit) {
+      pipeline.push({ $limit: limit });
+    }
+
+    const tags = await Post.aggregate(pipeline);
+
+    res.status(200).json(tags);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename a tag on every post, merging it into the new name if that tag exists
+// @route   PUT /api/tags/:tag
+// @access  Private (admin)
+const renameTag = async (req, res, next) => {
+  try {
+    const from = generateSlug(req.params.tag);
+    const to = generateSlug(req.body.name);
+
+    // Names made only of punctuation slugify to nothing
+    if (!to) {
+      throw new BadRequestError('New tag name is required', 'TAG_NAME_REQUIRED');
+    }
+
+    if (from === to) {
+      throw new BadRequestError(
+        'New tag name must differ from the current one',
+        'TAG_NAME_UNCHANGED'
+      );
+    }
+
+    // Trashed posts are included so they keep consistent tags if restored
+    const [postsUpdated, merged] = await Promise.all([
+      Post.countDocuments({ tags: from }).setOptions({ withDeleted: true }),
+      Post.exists({ tags: to }).setOptions({ withDeleted: true }),
+    ]);
+
+    if (postsUpdated === 0) {
+      throw new NotFoundError('Tag not found', 'TAG_NOT_FOUND');
+    }
+
+    // A field can't be pushed to and pulled from in one update, so add the
+    // new tag first: an interruption leaves both tags rather than neither
+    await Post.updateMany({ tags: from }, { $addToSet: { tags: to } });
+    await Post.updateMany({ tags: from }, { $pull: { tags: from } });
+
+    res.status(200).json({ from, to, merged: Boolean(merged), postsUpdated });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getTags,
+  renameTag,
+};
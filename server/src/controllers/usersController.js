@@ -0,0 +1,184 @@
+// server/src/controllers/usersController.js
+const Bookmark = require('../models/Bookmark');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const { visibilityFilter } = require('../utils/permissions');
+const { parsePagination, sendPage } = require('../utils/pagination');
+const { withViewerFlags } = require('../utils/engagement');
+const { generateToken, issueRefreshToken, revokeUserTokens } = require('../utils/auth');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+
+// @desc    Get a user's public profile and their published posts, newest first
+// @route   GET /api/users/:username
+// @access  Public
+const getUserProfile = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const user = await User.findOne({ username: req.params.username });
+
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    const query = { author: user._id, status: 'published' };
+
+    const [posts, postCount] = await Promise.all([
+      // The list shows excerpts, so the full content is left out
+      Post.find(query)
+        .select('-content')
+        .sort({ publishedAt: -1, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('category', 'name slug'),
+      Post.countDocuments(query),
+    ]);
+
+    const pages = Math.ceil(postCount / limit);
+
+    res.status(200).json({
+      user: { ...user.toPublicProfile(), postCount },
+      posts: {
+        data: await withViewerFlags(posts, req.user),
+        total: postCount,
+        page,
+        pages,
+        hasNext: page < pages,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update the current user's profile
+// @route   PATCH /api/users/me
+// @access  Private
+const updateMe = async (req, res, next) => {
+  try {
+    const { username, bio, avatarUrl } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    if (username !== undefined && username !== user.username) {
+      if (await User.exists({ username })) {
+        throw new ConflictError('Username is already registered', 'USERNAME_TAKEN');
+      }
+      user.username = username;
+    }
+
+    if (bio !== undefined) user.bio = bio;
+    // An empty value removes the avatar
+    if (avatarUrl !== undefined) user.avatarUrl = avatarUrl || null;
+
+    await user.save();
+
+    res.status(200).json(user);
+  } catch (error) {
+    // Lost a race against another user taking the same name
+    if (error.code === 11000) {
+      return next(new ConflictError('Username is already registered', 'USERNAME_TAKEN'));
+    }
+    next(error);
+  }
+};
+
+// @desc    Change the current user's password
+// @route   POST /api/users/me/password
+// @access  Private
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found', 'USER_NOT_FOUND');
+    }
+
+    // Not a 401: the session itself is still valid
+    if (!(await user.comparePassword(currentPassword))) {
+      throw new ValidationError(
+        [{ field: 'currentPassword', location: 'body', message: 'Current password is incorrect' }],
+        'Current password is incorrect',
+        'INVALID_CURRENT_PASSWORD'
+      );
+    }
+
+    if (newPassword === currentPassword) {
+      throw new ValidationError([
+        {
+          field: 'newPassword',
+          location: 'body',
+          message: 'newPassword must differ from the current password',
+        },
+      ]);
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every existing session, then start a fresh one for this client
+    await revokeUserTokens(user._id);
+
+    res.status(200).json({
+      message: 'Password changed successfully',
+      token: generateToken(user),
+      refreshToken: await issueRefreshToken(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current user's bookmarked posts, most recently saved first
+// @route   GET /api/users/me/bookmarks
+// @access  Private
+const getMyBookmarks = async (req, res, next) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+
+    const bookmarks = await Bookmark.find({ user: req.user.id })
+      .sort({ createdAt: -1, _id: -1 })
+      .select('post createdAt')
+      .lean();
+
+    // Skip bookmarks of posts that were trashed or are no longer visible
+    const visible = await Post.find({
+      $and: [{ _id: { $in: bookmarks.map((b) => b.post) } }, visibilityFilter(req.user)],
+    }).distinct('_id');
+    const visibleIds = new Set(visible.map((id) => id.toString()));
+    const saved = bookmarks.filter((b) => visibleIds.has(b.post.toString()));
+
+    const pageItems = saved.slice(skip, skip + limit);
+    const posts = await Post.find({ _id: { $in: pageItems.map((b) => b.post) } })
+      .populate('author', 'username avatarUrl')
+      .populate('category', 'name slug');
+    const postById = new Map(posts.map((post) => [post._id.toString(), post]));
+
+    const flagged = await withViewerFlags(
+      pageItems.map((b) => postById.get(b.post.toString())).filter(Boolean),
+      req.user
+    );
+    const savedAt = new Map(pageItems.map((b) => [b.post.toString(), b.createdAt]));
+    const data = flagged.map((post) => ({
+      ...post,
+      bookmarkedAt: savedAt.get(post._id.toString()),
+    }));
+
+    sendPage(req, res, { data, total: saved.length, page, limit });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUserProfile,
+  updateMe,
+  changePassword,
+  getMyBookmarks,
+};
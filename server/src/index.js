@@ -1,8 +1,58 @@
 // server/src/index.js
+
+// Validate the environment before anything else reads it
+let config;
+try {
+  ({ config } = require('./config'));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 const app = require('./app');
+const Post = require('./models/Post');
+const { createLogger } = require('./utils/logger');
+const { scheduler } = require('./utils/scheduler');
+const { viewCounter } = require('./utils/viewCounter');
+const { gracefulShutdown, isShuttingDown } = require('./utils/shutdown');
+const { connectDatabase } = require('./config/database');
+
+const logger = createLogger('server');
+
+const SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+const VIEW_FLUSH_INTERVAL_MS = Number(process.env.VIEW_FLUSH_INTERVAL_MS) || 10 * 1000;
+const TRASH_PURGE_INTERVAL_MS = Number(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+// Publish drafts whose publishAt time has passed
+scheduler.register('publish-scheduled-posts', () => Post.publishDue(), SCHEDULER_INTERVAL_MS);
+
+// Write buffered post views in batches
+scheduler.register('flush-post-views', () => viewCounter.flush(), VIEW_FLUSH_INTERVAL_MS);
+
+// Permanently delete posts that have been in the trash past the retention period
+scheduler.register('purge-trash', () => Post.purgeDeleted(), TRASH_PURGE_INTERVAL_MS);
+
+scheduler.start();
+
+const server = app.listen(config.port, () => {
+  logger.info(`Server running on port ${config.port}`);
+});
+
+// Stop taking traffic, let in-flight requests finish, then close the database
+const shutdown = async (reason, failureCode = 0) => {
+  logger.info({ message: 'Shutting down', reason });
+
+  const exitCode = await gracefulShutdown({ server, scheduler, viewCounter });
+  if (exitCode !== undefined) process.exit(exitCode || failureCode);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
-const PORT = process.env.PORT || 5000;
+// Probes report unready until connected; give up once retries run out
+connectDatabase(config.mongo).catch((error) => {
+  if (isShuttingDown()) return;
 
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+  logger.error({ message: 'Could not connect to MongoDB', error: error.message });
+  shutdown('database-unavailable', 1);
+});
@@ -1,36 +1,85 @@
 // server/src/middleware/auth.js
 const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { isTokenRevoked } = require('../utils/auth');
+const { canModify, MODERATOR_ROLES } = require('../utils/permissions');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const { config } = require('../config');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const JWT_SECRET = config.jwt.secret;
 
 /**
- * Middleware to verify JWT token
+ * Decode a bearer token into the request user.
+ * Returns null if the token is invalid, expired or revoked. Database errors
+ * are thrown, so an outage is not mistaken for a bad token.
  */
-const verifyToken = (req, res, next) => {
+const authenticate = async (token) => {
+  let decoded;
   try {
-    // Get token from header
-    const authHeader = req.headers.authorization;
+    decoded = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
 
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        error: 'No token provided',
-      });
-    }
+  // Check the token against the user's revocation timestamp
+  const user = await User.findById(decoded.id, 'tokensRevokedAt role');
+
+  if (!user || isTokenRevoked(decoded, user)) {
+    return null;
+  }
 
-    // Extract token
-    const token = authHeader.split(' ')[1];
+  // Prefer the current role over the one in the token
+  return { ...decoded, role: user.role || decoded.role };
+};
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
+/**
+ * Middleware to verify JWT token and reject tokens revoked by logout
+ */
+const verifyToken = async (req, res, next) => {
+  // Get token from header
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next(new UnauthorizedError('No token provided', 'TOKEN_MISSING'));
+  }
+
+  try {
+    // Extract and verify token
+    const user = await authenticate(authHeader.split(' ')[1]);
+
+    if (!user) {
+      return next(new UnauthorizedError('Invalid or expired token', 'TOKEN_INVALID'));
+    }
 
     // Attach user to request
-    req.user = decoded;
+    req.user = user;
 
     next();
   } catch (error) {
-    return res.status(401).json({
-      error: 'Invalid or expired token',
-    });
+    next(error);
+  }
+};
+
+/**
+ * Middleware to attach the user when a valid token is sent, without
+ * rejecting anonymous requests
+ */
+const optionalAuth = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const user = await authenticate(authHeader.split(' ')[1]);
+    if (user) {
+      req.user = user;
+    }
+
+    next();
+  } catch (error) {
+    next(error);
   }
 };
 
@@ -39,14 +88,31 @@ const verifyToken = (req, res, next) => {
  */
 const isAuthenticated = (req, res, next) => {
   if (!req.user) {
-    return res.status(401).json({
-      error: 'Authentication required',
-    });
+    return next(new UnauthorizedError());
+  }
+  next();
+};
+
+/**
+ * Middleware factory to restrict a route to the given roles
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return next(new UnauthorizedError());
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return next(new ForbiddenError('Not authorized to perform this action', 'ROLE_NOT_ALLOWED'));
   }
+
   next();
 };
 
 module.exports = {
   verifyToken,
+  optionalAuth,
   isAuthenticated,
+  authorize,
+  canModify,
+  MODERATOR_ROLES,
 };
\ No newline at end of file
@@ -1,75 +1,123 @@
 // server/src/middleware/errorHandler.js - Global error handler
-const logger = require('../utils/logger');
-
-class AppError extends Error {
-  constructor(message, statusCode, isOperational = true) {
-    super(message);
-    this.statusCode = statusCode;
-    this.isOperational = isOperational;
-    this.timestamp = new Date().toISOString();
-    Error.captureStackTrace(this, this.constructor);
-  }
-}
+const { createLogger } = require('../utils/logger');
+const {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+} = require('../utils/errors');
 
-const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
-  error.statusCode = err.statusCode || 500;
+const logger = createLogger('errors');
 
-  // Log error details
-  logger.error({
-    message: error.message,
-    statusCode: error.statusCode,
-    stack: err.stack,
-    url: req.originalUrl,
-    method: req.method,
-    ip: req.ip,
-    user: req.user?.id,
-  });
+/**
+ * Translate known library errors into AppErrors.
+ * Anything unrecognized becomes a generic 500.
+ */
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
 
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
-    const message = 'Resource not found';
-    error = new AppError(message, 404);
+    return new BadRequestError(`Invalid value for ${err.path}`, 'INVALID_ID');
   }
 
   // Mongoose duplicate key
   if (err.code === 11000) {
-    const field = Object.keys(err.keyValue)[0];
-    const message = `${field} already exists`;
-    error = new AppError(message, 400);
+    const field = Object.keys(err.keyValue || {})[0] || 'value';
+    return new ConflictError(`${field} already exists`, 'DUPLICATE_KEY');
   }
 
   // Mongoose validation error
-  if (err.name === 'ValidationError') {
-    const messages = Object.values(err.errors).map((e) => e.message);
-    const message = `Validation failed: ${messages.join(', ')}`;
-    error = new AppError(message, 400);
+  if (err.name === 'ValidationError' && err.errors) {
+    const errors = Object.values(err.errors).map((e) => ({
+      field: e.path,
+      location: 'body',
+      message: e.message,
+    }));
+    return new ValidationError(errors);
   }
 
   // JWT errors
   if (err.name === 'JsonWebTokenError') {
-    error = new AppError('Invalid token', 401);
+    return new UnauthorizedError('Invalid token', 'INVALID_TOKEN');
   }
 
   if (err.name === 'TokenExpiredError') {
-    error = new AppError('Token expired', 401);
+    return new UnauthorizedError('Token expired', 'TOKEN_EXPIRED');
+  }
+
+  // Body parser errors (malformed JSON, payload too large, ...)
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Malformed JSON body', 'INVALID_JSON');
+  }
+
+  if (err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, err.status, 'BAD_REQUEST');
+  }
+
+  return new AppError('Internal Server Error', 500, 'INTERNAL_ERROR', { isOperational: false });
+};
+
+/**
+ * Render every error as { error: { status, code, message, errors?, requestId } }
+ */
+const errorHandler = (err, req, res, next) => {
+  const error = normalizeError(err);
+
+  // Log error details; client errors are expected and logged quietly
+  logger.log(error.statusCode >= 500 ? 'error' : 'warn', {
+    message: err.message,
+    code: error.code,
+    statusCode: error.statusCode,
+    stack: error.statusCode >= 500 ? err.stack : undefined,
+    url: req.originalUrl,
+    method: req.method,
+    ip: req.ip,
+    user: req.user?.id,
+  });
+
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
   }
 
-  // Send error response
   res.status(error.statusCode).json({
-    success: false,
-    error: error.message,
-    ...(process.env.NODE_ENV === 'development' && {
-      stack: err.stack,
-      details: error,
-    }),
+    error: {
+      status: error.statusCode,
+      code: error.code,
+      message: error.message,
+      ...(error.errors && { errors: error.errors }),
+      requestId: req.id,
+      ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
+    },
   });
 };
 
+/**
+ * Answer unmatched routes through the error handler
+ */
+const notFound = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.originalUrl} not found`, 'ROUTE_NOT_FOUND'));
+};
+
 // Async handler wrapper to catch errors in async routes
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-module.exports = { errorHandler, asyncHandler, AppError };
\ No newline at end of file
+module.exports = {
+  errorHandler,
+  notFound,
+  asyncHandler,
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+};
@@ -1,26 +1,165 @@
-const performanceMonitor = (req, res, next) => {
-  const start = Date.now();
-
-  // Capture response
-  const originalSend = res.send;
-  res.send = function (data) {
-    const duration = Date.now() - start;
-
-    // Log slow requests
-    if (duration > 1000) {
-      logger.warn({
-        message: 'Slow request detected',
+// server/src/middleware/performanceMonitor.js - Request timing and HTTP metrics
+const { monitorEventLoopDelay } = require('perf_hooks');
+const { createLogger } = require('../utils/logger');
+const { registry, CONTENT_TYPE } = require('../utils/metrics');
+
+const logger = createLogger('metrics');
+
+const SLOW_REQUEST_THRESHOLD_MS = Number(process.env.SLOW_REQUEST_THRESHOLD_MS) || 1000;
+
+const httpRequestDuration = registry.histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds',
+  labelNames: ['method', 'route'],
+});
+
+const httpRequestsTotal = registry.counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by status class',
+  labelNames: ['method', 'route', 'status_class'],
+});
+
+const httpRequestsInFlight = registry.gauge({
+  name: 'http_requests_in_flight',
+  help: 'HTTP requests currently being handled',
+});
+httpRequestsInFlight.set({}, 0);
+
+registry.gauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: () => process.memoryUsage().rss,
+});
+
+registry.gauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap used in bytes',
+  collect: () => process.memoryUsage().heapUsed,
+});
+
+registry.gauge({
+  name: 'nodejs_heap_total_bytes',
+  help: 'V8 heap allocated in bytes',
+  collect: () => process.memoryUsage().heapTotal,
+});
+
+// Sampled by libuv; doesn't keep the process alive
+const eventLoopDelay = monitorEventLoopDelay({ resolution: 20 });
+eventLoopDelay.enable();
+
+registry.gauge({
+  name: 'nodejs_eventloop_lag_seconds',
+  help: 'Mean event loop delay in seconds since the last scrape',
+  collect: () => {
+    const mean = Number.isNaN(eventLoopDelay.mean) ? 0 : eventLoopDelay.mean;
+    eventLoopDelay.reset();
+    return mean / 1e9;
+  },
+});
+
+/**
+ * The route pattern for a matched route, e.g. /api/posts/:id/comments.
+ * Mount paths only carry the matched values, so param values are swapped
+ * back for their names.
+ */
+const routePattern = (req, route) => {
+  const params = Object.entries(req.params || {});
+  const base = req.baseUrl
+    .split('/')
+    .map((segment) => {
+      const param = params.find(([, value]) => value === segment);
+      return param ? `:${param[0]}` : segment;
+    })
+    .join('/');
+  const path = route.path === '/' && base ? '' : route.path;
+
+  return `${base}${path}` || '/';
+};
+
+/**
+ * Remember the route pattern when Express assigns req.route. By the time
+ * the response finishes after an error, Express has already restored
+ * req.baseUrl and req.params to the outer router's values.
+ */
+const trackRoute = (req) => {
+  let current;
+  let pattern = 'unmatched';
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => current,
+    set: (route) => {
+      current = route;
+      if (route) pattern = routePattern(req, route);
+    },
+  });
+
+  // Unmatched requests share one label to keep the number of series bounded
+  return () => pattern;
+};
+
+/**
+ * Time each request: record metrics, add X-Response-Time and warn about
+ * requests slower than `slowThresholdMs`
+ */
+const performanceMonitor = ({ slowThresholdMs = SLOW_REQUEST_THRESHOLD_MS } = {}) => {
+  return (req, res, next) => {
+    const start = process.hrtime.bigint();
+    const elapsedMs = () => Number(process.hrtime.bigint() - start) / 1e6;
+    const matchedRoute = trackRoute(req);
+    let finished = false;
+
+    httpRequestsInFlight.inc();
+
+    // Set before the headers go out
+    const originalWriteHead = res.writeHead;
+    res.writeHead = function (...args) {
+      res.setHeader('X-Response-Time', `${Math.round(elapsedMs())}ms`);
+      return originalWriteHead.apply(this, args);
+    };
+
+    const done = () => {
+      if (finished) return;
+      finished = true;
+
+      const duration = elapsedMs();
+      const route = matchedRoute();
+
+      httpRequestsInFlight.dec();
+      httpRequestDuration.observe({ method: req.method, route }, duration / 1000);
+      httpRequestsTotal.inc({
         method: req.method,
-        url: req.originalUrl,
-        duration: `${duration}ms`,
+        route,
+        status_class: `${Math.floor(res.statusCode / 100)}xx`,
       });
-    }
 
-    // Add performance header
-    res.set('X-Response-Time', `${duration}ms`);
+      if (duration > slowThresholdMs) {
+        logger.warn({
+          message: 'Slow request detected',
+          method: req.method,
+          url: req.originalUrl,
+          route,
+          duration: `${Math.round(duration)}ms`,
+          requestId: req.id,
+        });
+      }
+    };
 
-    originalSend.call(this, data);
+    // 'close' covers clients that disconnect before the response finishes
+    res.on('finish', done);
+    res.on('close', done);
+
+    next();
   };
+};
+
+// @desc    Expose metrics for scraping
+// @route   GET /metrics
+// @access  Public
+const metricsHandler = (req, res) => {
+  res.set('Content-Type', CONTENT_TYPE);
+  res.send(registry.render());
+};
 
-  next();
-};
\ No newline at end of file
+module.exports = { performanceMonitor, metricsHandler, routePattern, SLOW_REQUEST_THRESHOLD_MS };
@@ -0,0 +1,137 @@
+// server/src/middleware/rateLimit.js - Per-route rate limiting
+const { createLogger } = require('../utils/logger');
+const { MemoryStore } = require('../utils/rateLimitStore');
+const { TooManyRequestsError } = require('../utils/errors');
+
+const logger = createLogger('rate-limit');
+
+// Disabled by default under test so suites can hit endpoints freely
+const RATE_LIMIT_ENABLED = process.env.RATE_LIMIT_ENABLED
+  ? process.env.RATE_LIMIT_ENABLED === 'true'
+  : process.env.NODE_ENV !== 'test';
+
+/**
+ * Strategies take the stored state and return the new state plus the
+ * outcome. All times are in milliseconds.
+ */
+const strategies = {
+  // At most `limit` requests per `windowMs`, counted from the first request
+  'fixed-window': ({ limit, windowMs }) => ({
+    policy: `${limit};w=${Math.ceil(windowMs / 1000)}`,
+    limit,
+    hit(state, now) {
+      const current = state && now < state.resetAt ? state : { count: 0, resetAt: now + windowMs };
+      const next = { count: current.count + 1, resetAt: current.resetAt };
+      const allowed = next.count <= limit;
+
+      return {
+        state: next,
+        ttlMs: next.resetAt - now,
+        allowed,
+        remaining: Math.max(0, limit - next.count),
+        resetMs: next.resetAt - now,
+        retryAfterMs: allowed ? 0 : next.resetAt - now,
+      };
+    },
+  }),
+
+  // Bursts of up to `capacity`, refilled at `refillPerSecond` tokens a second
+  'token-bucket': ({ capacity, refillPerSecond }) => {
+    const perMs = refillPerSecond / 1000;
+
+    return {
+      policy: `${capacity};w=${Math.ceil(capacity / refillPerSecond)}`,
+      limit: capacity,
+      hit(state, now) {
+        const tokens = state
+          ? Math.min(capacity, state.tokens + (now - state.updatedAt) * perMs)
+          : capacity;
+        const allowed = tokens >= 1;
+        const left = allowed ? tokens - 1 : tokens;
+        const untilFull = (capacity - left) / perMs;
+
+        return {
+          state: { tokens: left, updatedAt: now },
+          ttlMs: Math.max(1, Math.ceil(untilFull)),
+          allowed,
+          remaining: Math.floor(left),
+          resetMs: untilFull,
+          retryAfterMs: allowed ? 0 : (1 - left) / perMs,
+        };
+      },
+    };
+  },
+};
+
+/**
+ * Resolve the client key: 'ip', 'user' (falling back to the IP for
+ * anonymous requests) or a custom function of the request
+ */
+const resolveKey = (keyBy, req) => {
+  if (typeof keyBy === 'function') return keyBy(req);
+  if (keyBy === 'user' && req.user && req.user.id) return `user:${req.user.id}`;
+  return `ip:${req.ip}`;
+};
+
+// Store shared by limiters that don't bring their own
+const defaultStore = new MemoryStore();
+
+/**
+ * Build a rate limiting middleware.
+ *
+ *   name            prefix separating this limiter's keys from others
+ *   strategy        'fixed-window' (limit, windowMs) or
+ *                   'token-bucket' (capacity, refillPerSecond)
+ *   keyBy           'ip', 'user' or (req) => key
+ *   store           MemoryStore or any store with the same interface
+ *   enabled         turn the limiter off without unmounting it
+ *
+ * Sets RateLimit-Limit/Remaining/Reset/Policy headers on every response and
+ * answers over-limit requests with a 429 and Retry-After.
+ */
+const rateLimit = ({
+  name = 'global',
+  strategy = 'fixed-window',
+  keyBy = 'ip',
+  store = defaultStore,
+  enabled = RATE_LIMIT_ENABLED,
+  ...options
+} = {}) => {
+  if (!strategies[strategy]) {
+    throw new Error(`Unknown rate limit strategy: ${strategy}`);
+  }
+
+  const limiter = strategies[strategy](options);
+
+  return async (req, res, next) => {
+    if (!enabled) return next();
+
+    const key = `${name}:${resolveKey(keyBy, req)}`;
+    let result;
+
+    try {
+      const now = Date.now();
+      result = limiter.hit(await store.get(key), now);
+      await store.set(key, result.state, result.ttlMs);
+    } catch (error) {
+      // Fail open: an unavailable store should not take the API down
+      logger.error({ message: 'Rate limit store error', error: error.message, key });
+      return next();
+    }
+
+    res.set({
+      'RateLimit-Limit': String(limiter.limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+      'RateLimit-Policy': limiter.policy,
+    });
+
+    if (!result.allowed) {
+      return next(new TooManyRequestsError(Math.ceil(result.retryAfterMs / 1000)));
+    }
+
+    next();
+  };
+};
+
+module.exports = { rateLimit, strategies, MemoryStore };
@@ -0,0 +1,21 @@
+// server/src/middleware/requestId.js - Tag each request with an id
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Reuse a well-formed incoming X-Request-Id or generate one, expose it as
+ * req.id, echo it in the response headers and keep it in the request
+ * context so log lines written while handling the request carry it
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+
+  req.id = incoming && /^[\w-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = { requestId, REQUEST_ID_HEADER };
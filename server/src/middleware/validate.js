@@ -0,0 +1,176 @@
+// server/src/middleware/validate.js - Declarative request validation
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Coerce a single value to the rule's type.
+ * Returns { value } on success or { message } describing the problem.
+ */
+const coerce = (value, rule, field) => {
+  switch (rule.type) {
+    case 'string': {
+      // Numbers are accepted as strings unless the rule is strict
+      if (typeof value !== 'string' && (rule.strict || typeof value !== 'number')) {
+        return { message: `${field} must be a string` };
+      }
+      const str = rule.trim === false ? String(value) : String(value).trim();
+      if (rule.minLength !== undefined && str.length < rule.minLength) {
+        return {
+          message:
+            rule.minLength === 1
+              ? `${field} cannot be empty`
+              : `${field} must be at least ${rule.minLength} characters`,
+        };
+      }
+      if (rule.maxLength !== undefined && str.length > rule.maxLength) {
+        return { message: `${field} cannot exceed ${rule.maxLength} characters` };
+      }
+      if (rule.pattern && !rule.pattern.test(str)) {
+        return { message: `${field} ${rule.patternMessage || 'has an invalid format'}` };
+      }
+      return { value: str };
+    }
+
+    case 'integer':
+    case 'number': {
+      const num = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || !Number.isFinite(num)) {
+        return { message: `${field} must be a number` };
+      }
+      if (rule.type === 'integer' && !Number.isInteger(num)) {
+        return { message: `${field} must be an integer` };
+      }
+      if (rule.min !== undefined && num < rule.min) {
+        return { message: `${field} must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && num > rule.max) {
+        return { message: `${field} must be at most ${rule.max}` };
+      }
+      return { value: num };
+    }
+
+    case 'boolean': {
+      if (typeof value === 'boolean') return { value };
+      if (['true', '1'].includes(String(value))) return { value: true };
+      if (['false', '0'].includes(String(value))) return { value: false };
+      return { message: `${field} must be true or false` };
+    }
+
+    case 'date': {
+      const date = new Date(value);
+      if (value === '' || typeof value === 'boolean' || isNaN(date.getTime())) {
+        return { message: `${field} must be a valid date` };
+      }
+      return { value: date };
+    }
+
+    case 'objectId': {
+      if (!/^[a-f\d]{24}$/i.test(String(value))) {
+        return { message: `${field} must be a valid ID` };
+      }
+      return { value: String(value) };
+    }
+
+    case 'array': {
+      // Query strings and form posts may send a comma-separated list
+      const list = Array.isArray(value) ? value : String(value).split(',');
+      if (rule.maxItems !== undefined && list.length > rule.maxItems) {
+        return { message: `${field} cannot have more than ${rule.maxItems} items` };
+      }
+      if (!rule.items) return { value: list };
+
+      const items = [];
+      for (let i = 0; i < list.length; i += 1) {
+        const result = coerce(list[i], rule.items, `${field}[${i}]`);
+        if (result.message) return result;
+        if (rule.items.enum && !rule.items.enum.includes(result.value)) {
+          return { message: `${field} items must be one of: ${rule.items.enum.join(', ')}` };
+        }
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+
+    default:
+      return { value };
+  }
+};
+
+/**
+ * Validate one request location against a schema of field rules.
+ * Unknown fields are dropped from the returned value.
+ */
+const validateLocation = (input, schema, location) => {
+  const value = {};
+  const errors = [];
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input ? input[field] : undefined;
+
+    if (raw === undefined || (raw === '' && !rule.allowEmpty && location === 'query')) {
+      if (rule.required) {
+        errors.push({ field, location, message: `${field} is required` });
+      } else if (rule.default !== undefined) {
+        value[field] = rule.default;
+      }
+      return;
+    }
+
+    if (raw === null) {
+      if (rule.nullable) {
+        value[field] = null;
+      } else {
+        errors.push({ field, location, message: `${field} cannot be null` });
+      }
+      return;
+    }
+
+    const result = coerce(raw, rule, field);
+
+    if (result.message) {
+      errors.push({ field, location, message: result.message });
+      return;
+    }
+
+    if (rule.enum && !rule.enum.includes(result.value)) {
+      errors.push({ field, location, message: `${field} must be one of: ${rule.enum.join(', ')}` });
+      return;
+    }
+
+    value[field] = result.value;
+  });
+
+  return { value, errors };
+};
+
+/**
+ * Build middleware validating req.params, req.query and req.body against
+ * per-location schemas. Each schema maps a field name to a rule:
+ *
+ *   { type, required, nullable, default, enum, min, max, minLength,
+ *     maxLength, trim, strict, pattern, patternMessage, items, maxItems,
+ *     allowEmpty }
+ *
+ * Values are coerced to their type and unknown fields stripped. All errors
+ * are passed on together as a single ValidationError.
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  LOCATIONS.forEach((location) => {
+    if (!schemas[location]) return;
+
+    const result = validateLocation(req[location], schemas[location], location);
+    req[location] = result.value;
+    errors.push(...result.errors);
+  });
+
+  if (errors.length > 0) {
+    return next(new ValidationError(errors));
+  }
+
+  next();
+};
+
+module.exports = { validate };
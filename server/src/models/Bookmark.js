@@ -0,0 +1,26 @@
+// server/src/models/Bookmark.js
+const mongoose = require('mongoose');
+
+// A post saved to a user's reading list
+const bookmarkSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+bookmarkSchema.index({ post: 1, user: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
@@ -0,0 +1,57 @@
+// server/src/models/Category.js
+const mongoose = require('mongoose');
+const { generateSlug } = require('../utils/helpers');
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [50, 'Name cannot exceed 50 characters'],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      // findByIdOrSlug would treat it as an id
+      match: [/^(?![a-f\d]{24}$)/i, 'Slug cannot look like an ID'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Create slug from name before saving, unless one was set explicitly.
+// Explicit slugs are normalized the same way.
+categorySchema.pre('validate', function (next) {
+  if (!this.slug || (this.isModified('name') && !this.isModified('slug'))) {
+    this.slug = generateSlug(this.name);
+  } else if (this.isModified('slug')) {
+    this.slug = generateSlug(this.slug) || generateSlug(this.name);
+  }
+  next();
+});
+
+/**
+ * Find a category by ObjectId or by slug
+ */
+categorySchema.statics.findByIdOrSlug = function (value) {
+  if (/^[a-f\d]{24}$/i.test(String(value))) {
+    return this.findById(value);
+  }
+  return this.findOne({ slug: String(value).toLowerCase() });
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,26 @@
+// server/src/models/Like.js
+const mongoose = require('mongoose');
+
+// One document per user who liked a post
+const likeSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+likeSchema.index({ post: 1, user: 1 }, { unique: true });
+likeSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Like', likeSchema);
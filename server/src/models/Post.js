@@ -1,5 +1,23 @@
 // server/src/models/Post.js
 const mongoose = require('mongoose');
+const Bookmark = require('./Bookmark');
+const Comment = require('./Comment');
+const Like = require('./Like');
+const PostView = require('./PostView');
+const Revision = require('./Revision');
+const {
+  generateSlug,
+  normalizeTags,
+  countWords,
+  calculateReadingTime,
+  createExcerpt,
+} = require('../utils/helpers');
+const { renderMarkdown, markdownToText } = require('../utils/markdown');
+
+const EXCERPT_LENGTH = 200;
+
+// Days a post stays in the trash before it is purged
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
 
 const postSchema = new mongoose.Schema(
   {
@@ -9,15 +27,47 @@ const postSchema = new mongoose.Schema(
       trim: true,
       maxlength: [200, 'Title cannot exceed 200 characters'],
     },
+    // Markdown source
     content: {
       type: String,
       required: [true, 'Content is required'],
     },
+    // Sanitized HTML rendered from content on save; only returned on request
+    contentHtml: {
+      type: String,
+      select: false,
+    },
+    // Written by the author; replaces the generated excerpt when set
+    customExcerpt: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Excerpt cannot exceed 500 characters'],
+      default: null,
+    },
+    // Derived from content (see deriveContentFields)
+    excerpt: {
+      type: String,
+      default: '',
+    },
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    // Estimated minutes to read
+    readingTime: {
+      type: Number,
+      default: 0,
+    },
     slug: {
       type: String,
       unique: true,
       lowercase: true,
     },
+    // Previous slugs, kept so old links can redirect to the current one
+    slugHistory: {
+      type: [{ type: String, lowercase: true }],
+      index: true,
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -27,32 +77,274 @@ const postSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Category',
     },
+    // Slugified, deduplicated tag names
+    tags: {
+      type: [String],
+      set: normalizeTags,
+      index: true,
+    },
     status: {
       type: String,
       enum: ['draft', 'published'],
       default: 'draft',
     },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    // When set on a draft, the scheduler publishes the post at this time
+    publishAt: {
+      type: Date,
+      default: null,
+    },
     views: {
       type: Number,
       default: 0,
     },
+    // Denormalized count of comments that are not deleted
+    commentsCount: {
+      type: Number,
+      default: 0,
+    },
+    // Denormalized count of likes
+    likesCount: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the post is moved to the trash
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Create slug from title before saving
+// Full-text search over title and content, with title matches ranked higher
+postSchema.index(
+  { title: 'text', content: 'text' },
+  { weights: { title: 5, content: 1 }, name: 'post_text_search' }
+);
+
+postSchema.index({ deletedAt: 1 });
+
+/**
+ * Hide trashed posts from queries, unless the query asks for deletedAt
+ * itself or is run with the withDeleted option
+ */
+const excludeDeleted = function () {
+  if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) return;
+  this.where({ deletedAt: null });
+};
+
+postSchema.pre(/^find/, excludeDeleted);
+postSchema.pre('countDocuments', excludeDeleted);
+// Query.distinct() runs as its own operation, not a find
+postSchema.pre('distinct', excludeDeleted);
+
+postSchema.pre('aggregate', function () {
+  if (this.options.withDeleted) return;
+  this.pipeline().unshift({ $match: { deletedAt: null } });
+});
+
+/**
+ * Find a free slug for base, appending -2, -3, ... on collision.
+ * Slugs held in other posts' history count as taken so old links stay valid.
+ */
+postSchema.statics.uniqueSlug = async function (base, excludeId) {
+  const root = base || 'post';
+  const escaped = root.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${escaped}(-\\d+)?$`);
+
+  const others = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { slugHistory: pattern }],
+  })
+    .select('slug slugHistory')
+    // Trashed posts can be restored, so their slugs stay reserved
+    .setOptions({ withDeleted: true });
+
+  const taken = new Set(others.flatMap((post) => [post.slug, ...post.slugHistory]));
+
+  if (!taken.has(root)) return root;
+
+  let suffix = 2;
+  while (taken.has(`${root}-${suffix}`)) {
+    suffix += 1;
+  }
+  return `${root}-${suffix}`;
+};
+
+// Remember the stored slug so a change can be recorded in the history
+postSchema.post('init', function () {
+  this.$locals.originalSlug = this.slug;
+});
+
+// Create a unique slug from the title on create and whenever the title changes
+postSchema.pre('save', async function () {
+  let base;
+
+  if (this.$locals.slugConflict) {
+    // Another post took the slug picked last time; pick again from the same base
+    base = this.$locals.slugBase;
+  } else if (this.slug && (this.isNew || this.isModified('slug'))) {
+    base = generateSlug(this.slug);
+  } else if (this.isNew || this.isModified('title')) {
+    base = generateSlug(this.title);
+  } else {
+    return;
+  }
+
+  this.$locals.slugBase = base;
+  this.$locals.slugConflict = false;
+  this.slug = await this.constructor.uniqueSlug(base, this._id);
+
+  const previous = this.$locals.originalSlug;
+  if (previous && previous !== this.slug) {
+    // Reclaiming an old slug removes it from the history
+    this.slugHistory = [
+      ...this.slugHistory.filter((s) => s !== this.slug && s !== previous),
+      previous,
+    ];
+  }
+});
+
+postSchema.post('save', function () {
+  this.$locals.originalSlug = this.slug;
+});
+
+const MAX_SLUG_RETRIES = 5;
+
+const isSlugConflict = (error) =>
+  Boolean(error && error.code === 11000 && error.keyPattern && 'slug' in error.keyPattern);
+
+/**
+ * Save the post, picking the next free slug when a concurrent save claimed
+ * the one uniqueSlug() chose before this write reached the unique index
+ */
+postSchema.methods.saveWithUniqueSlug = async function (options) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await this.save(options);
+    } catch (error) {
+      if (!isSlugConflict(error) || attempt >= MAX_SLUG_RETRIES) throw error;
+      this.$locals.slugConflict = true;
+    }
+  }
+};
+
+/**
+ * Fields computed from the Markdown source and the author's excerpt
+ */
+const deriveContentFields = (content, customExcerpt) => {
+  const text = markdownToText(content);
+
+  return {
+    contentHtml: renderMarkdown(content),
+    wordCount: countWords(text),
+    readingTime: calculateReadingTime(text),
+    excerpt: customExcerpt || createExcerpt(text, EXCERPT_LENGTH),
+  };
+};
+
+// Recompute derived fields whenever the source or custom excerpt changes
+postSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('content') || this.isModified('customExcerpt')) {
+    this.set(deriveContentFields(this.content, this.customExcerpt));
+  }
+  next();
+});
+
+/**
+ * Keep derived fields in step for updates that bypass save(), such as
+ * findByIdAndUpdate. Values not in the update are read from the stored post.
+ */
+const deriveOnUpdate = async function () {
+  const update = this.getUpdate();
+  // Aggregation pipeline updates are left alone
+  if (!update || Array.isArray(update)) return;
+
+  const $set = update.$set || {};
+  const $unset = update.$unset || {};
+  const updated = (path) => path in $set || path in update || path in $unset;
+  const valueOf = (path) => {
+    if (path in $unset) return null;
+    return path in $set ? $set[path] : update[path];
+  };
+
+  if (!updated('content') && !updated('customExcerpt')) return;
+
+  let stored = {};
+  if (!updated('content') || !updated('customExcerpt')) {
+    stored = await this.model
+      .findOne(this.getFilter())
+      .select('content customExcerpt')
+      .setOptions({ withDeleted: true })
+      .lean();
+    if (!stored) return;
+  }
+
+  const content = updated('content') ? valueOf('content') : stored.content;
+  const customExcerpt = updated('customExcerpt') ? valueOf('customExcerpt') : stored.customExcerpt;
+  const excerpt = typeof customExcerpt === 'string' ? customExcerpt.trim() : customExcerpt;
+
+  this.set(deriveContentFields(content, excerpt || null));
+};
+
+postSchema.pre('findOneAndUpdate', deriveOnUpdate);
+postSchema.pre('updateOne', deriveOnUpdate);
+
+// Keep publishedAt in step with status changes
 postSchema.pre('save', function (next) {
-  if (!this.slug && this.title) {
-    this.slug = this.title
-      .toLowerCase()
-      .trim()
-      .replace(/[^\w\s-]/g, '')
-      .replace(/\s+/g, '-')
-      .replace(/-+/g, '-');
+  if (this.isModified('status')) {
+    if (this.status === 'published') {
+      this.publishedAt = this.publishedAt || new Date();
+      this.publishAt = null;
+    } else {
+      this.publishedAt = null;
+    }
   }
   next();
 });
 
+/**
+ * Publish every draft whose scheduled publishAt time has passed
+ */
+postSchema.statics.publishDue = async function (now = new Date()) {
+  const result = await this.updateMany(
+    { status: 'draft', publishAt: { $ne: null, $lte: now }, deletedAt: null },
+    [{ $set: { status: 'published', publishedAt: '$publishAt', publishAt: null } }]
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Permanently remove posts trashed before the cutoff, with their comments,
+ * revisions, likes, bookmarks and view records
+ */
+postSchema.statics.purgeDeleted = async function (
+  before = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+) {
+  const posts = await this.find({ deletedAt: { $ne: null, $lte: before } }).select('_id');
+  const ids = posts.map((post) => post._id);
+
+  if (ids.length === 0) return 0;
+
+  await Promise.all([
+    Bookmark.deleteMany({ post: { $in: ids } }),
+    Comment.deleteMany({ post: { $in: ids } }),
+    Like.deleteMany({ post: { $in: ids } }),
+    PostView.deleteMany({ post: { $in: ids } }),
+    Revision.deleteMany({ post: { $in: ids } }),
+  ]);
+  const result = await this.deleteMany({ _id: { $in: ids } });
+
+  return result.deletedCount;
+};
+
+postSchema.statics.deriveContentFields = deriveContentFields;
+
 module.exports = mongoose.model('Post', postSchema);
\ No newline at end of file
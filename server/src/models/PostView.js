@@ -0,0 +1,28 @@
+// server/src/models/PostView.js
+const mongoose = require('mongoose');
+
+// One document per distinct viewer of a post, used for unique view counts
+const postViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  // "user:<id>" for signed-in readers, "ip:<hash>" otherwise
+  viewer: {
+    type: String,
+    required: true,
+  },
+  firstViewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastViewedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+postViewSchema.index({ post: 1, viewer: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostView', postViewSchema);
@@ -0,0 +1,109 @@
+// server/src/models/Revision.js
+const mongoose = require('mongoose');
+
+// Post fields captured in each revision
+const TRACKED_FIELDS = ['title', 'content', 'category', 'tags'];
+
+const revisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: [true, 'Post is required'],
+    },
+    rev: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    // Revision number this one was restored from, if any
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+    snapshot: {
+      title: String,
+      content: String,
+      category: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Category',
+        default: null,
+      },
+      tags: [String],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+revisionSchema.index({ post: 1, rev: 1 }, { unique: true });
+
+/**
+ * Copy the tracked fields of a post
+ */
+revisionSchema.statics.snapshotOf = function (post) {
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    const value = post[field] && post[field]._id ? post[field]._id : post[field] ?? null;
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+    return snapshot;
+  }, {});
+};
+
+// Attempts at claiming a revision number before giving up
+const MAX_RECORD_ATTEMPTS = 5;
+
+/**
+ * Record the current state of a post as its next revision. The first time a
+ * post changes, its original state is stored as revision 1.
+ *
+ * Numbers are read as the current maximum plus one, so two concurrent edits
+ * can pick the same one; the unique index rejects the second, which then
+ * retries with a fresh maximum.
+ */
+revisionSchema.statics.record = async function (
+  post,
+  previous,
+  { editor, changedFields, restoredFrom = null }
+) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const latest = await this.findOne({ post: post._id }).sort('-rev').select('rev');
+      let rev = latest ? latest.rev : 0;
+
+      if (!latest) {
+        await this.create({
+          post: post._id,
+          rev: 1,
+          editor: post.author,
+          snapshot: previous,
+          createdAt: post.createdAt,
+        });
+        rev = 1;
+      }
+
+      return await this.create({
+        post: post._id,
+        rev: rev + 1,
+        editor,
+        changedFields,
+        restoredFrom,
+        snapshot: this.snapshotOf(post),
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+revisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('Revision', revisionSchema);
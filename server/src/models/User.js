@@ -24,9 +24,41 @@ const userSchema = new mongoose.Schema(
       required: [true, 'Password is required'],
       minlength: [6, 'Password must be at least 6 characters'],
     },
+    role: {
+      type: String,
+      enum: ['reader', 'author', 'editor', 'admin'],
+      default: 'author',
+    },
+    // Public profile, shown at /api/users/:username
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Bio cannot exceed 500 characters'],
+      default: '',
+    },
+    avatarUrl: {
+      type: String,
+      trim: true,
+      match: [/^https?:\/\/\S+$/i, 'Avatar URL must be an http or https URL'],
+      default: null,
+    },
+    // Access tokens issued before this moment are rejected
+    tokensRevokedAt: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
+    toJSON: {
+      // Never expose the password hash in API responses
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.tokensRevokedAt;
+        delete ret.__v;
+        return ret;
+      },
+    },
   }
 );
 
@@ -43,6 +75,16 @@ userSchema.pre('save', async function (next) {
   }
 });
 
+// Profile fields anyone may see; email and role stay private
+userSchema.methods.toPublicProfile = function () {
+  return {
+    username: this.username,
+    bio: this.bio,
+    avatarUrl: this.avatarUrl,
+    joinedAt: this.createdAt,
+  };
+};
+
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
@@ -0,0 +1,34 @@
+// server/src/routes/auth.js
+const express = require('express');
+const router = express.Router();
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe,
+} = require('../controllers/authController');
+const { verifyToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/auth');
+
+// Slow down credential guessing and mass sign-ups, per IP
+const credentialsLimiter = rateLimit({
+  name: 'auth',
+  strategy: 'fixed-window',
+  keyBy: 'ip',
+  limit: Number(process.env.AUTH_RATE_LIMIT) || 10,
+  windowMs: Number(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+});
+
+// Public routes
+router.post('/register', credentialsLimiter, validate(schemas.register), register);
+router.post('/login', credentialsLimiter, validate(schemas.login), login);
+router.post('/refresh', validate(schemas.refresh), refresh);
+router.post('/logout', validate(schemas.logout), logout);
+
+// Protected routes (require authentication)
+router.get('/me', verifyToken, getMe);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+// server/src/routes/categories.js
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+} = require('../controllers/categoriesController');
+const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/categories');
+
+// Public routes
+router.get('/', getCategories);
+router.get('/:idOrSlug', validate(schemas.getCategory), getCategory);
+
+// Protected routes (require authentication)
+router.post('/', verifyToken, validate(schemas.createCategory), createCategory);
+router.put('/:idOrSlug', verifyToken, validate(schemas.updateCategory), updateCategory);
+router.delete('/:idOrSlug', verifyToken, validate(schemas.deleteCategory), deleteCategory);
+
+module.exports = router;
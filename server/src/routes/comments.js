@@ -0,0 +1,22 @@
+// server/src/routes/comments.js - Mounted under /api/posts/:id/comments
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+} = require('../controllers/commentsController');
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/comments');
+
+// Public routes
+router.get('/', optionalAuth, validate(schemas.listComments), getComments);
+
+// Protected routes (require authentication)
+router.post('/', verifyToken, validate(schemas.createComment), createComment);
+router.put('/:commentId', verifyToken, validate(schemas.updateComment), updateComment);
+router.delete('/:commentId', verifyToken, validate(schemas.deleteComment), deleteComment);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+// server/src/routes/health.js
+const express = require('express');
+const router = express.Router();
+const { getHealth, getLiveness, getReadiness } = require('../controllers/healthController');
+
+// Public routes
+router.get('/', getHealth);
+router.get('/live', getLiveness);
+router.get('/ready', getReadiness);
+
+module.exports = router;
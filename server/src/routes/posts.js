@@ -3,23 +3,71 @@ const express = require('express');
 const router = express.Router();
 const {
   getPosts,
+  searchPosts,
   getPostById,
   getPostBySlug,
   createPost,
   updatePost,
   deletePost,
+  getTrash,
+  restorePost,
+  publishPost,
+  unpublishPost,
+  getPostStats,
 } = require('../controllers/postsController');
-const { verifyToken } = require('../middleware/auth');
+const {
+  likePost,
+  unlikePost,
+  bookmarkPost,
+  unbookmarkPost,
+} = require('../controllers/engagementController');
+const { verifyToken, optionalAuth, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const schemas = require('../validators/posts');
+
+// Allow short bursts of new posts, then a steady trickle per user
+const createPostLimiter = rateLimit({
+  name: 'create-post',
+  strategy: 'token-bucket',
+  keyBy: 'user',
+  capacity: Number(process.env.POST_RATE_LIMIT_BURST) || 10,
+  refillPerSecond: (Number(process.env.POST_RATE_LIMIT_PER_MINUTE) || 2) / 60,
+});
 
-// Public routes
-router.get('/', getPosts);
-router.get('/slug/:slug', getPostBySlug);
-router.get('/:id', getPostById);
+// Public routes (drafts are included for their signed-in author)
+router.get('/', optionalAuth, validate(schemas.listPosts), getPosts);
+router.get('/search', optionalAuth, validate(schemas.searchPosts), searchPosts);
+// Registered before /:id so "trash" is not taken for a post id
+router.get('/trash', verifyToken, validate(schemas.listTrash), getTrash);
+router.get('/slug/:slug', optionalAuth, validate(schemas.getPostBySlug), getPostBySlug);
+router.get('/:id', optionalAuth, validate(schemas.getPost), getPostById);
 
 // Protected routes (require authentication)
-router.post('/', verifyToken, createPost);
-router.put('/:id', verifyToken, updatePost);
-router.delete('/:id', verifyToken, deletePost);
+router.post(
+  '/',
+  verifyToken,
+  authorize('author', 'editor', 'admin'),
+  createPostLimiter,
+  validate(schemas.createPost),
+  createPost
+);
+router.put('/:id', verifyToken, validate(schemas.updatePost), updatePost);
+router.delete('/:id', verifyToken, validate(schemas.postId), deletePost);
+router.post('/:id/restore', verifyToken, validate(schemas.postId), restorePost);
+router.post('/:id/publish', verifyToken, validate(schemas.publishPost), publishPost);
+router.post('/:id/unpublish', verifyToken, validate(schemas.postId), unpublishPost);
+router.get('/:id/stats', verifyToken, validate(schemas.postId), getPostStats);
+
+// Likes and bookmarks (idempotent)
+router.post('/:id/like', verifyToken, validate(schemas.postId), likePost);
+router.delete('/:id/like', verifyToken, validate(schemas.postId), unlikePost);
+router.post('/:id/bookmark', verifyToken, validate(schemas.postId), bookmarkPost);
+router.delete('/:id/bookmark', verifyToken, validate(schemas.postId), unbookmarkPost);
+
+// Comments and revision history
+router.use('/:id/comments', require('./comments'));
+router.use('/:id/revisions', require('./revisions'));
 
 module.exports = router;
 
@@ -0,0 +1,18 @@
+// server/src/routes/revisions.js - Mounted under /api/posts/:id/revisions
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const {
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision,
+} = require('../controllers/revisionsController');
+const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/revisions');
+
+// Protected routes (same author/moderator rule as updating the post)
+router.get('/', verifyToken, validate(schemas.listRevisions), getRevisions);
+router.get('/diff', verifyToken, validate(schemas.diffRevisions), getRevisionDiff);
+router.post('/:rev/restore', verifyToken, validate(schemas.restoreRevision), restoreRevision);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// server/src/routes/tags.js
+const express = require('express');
+const router = express.Router();
+const { getTags, renameTag } = require('../controllers/tagsController');
+const { verifyToken, authorize } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../validators/tags');
+
+// Public routes
+router.get('/', validate(schemas.listTags), getTags);
+
+// Admin routes
+router.put('/:tag', verifyToken, authorize('admin'), validate(schemas.renameTag), renameTag);
+
+module.exports = router;
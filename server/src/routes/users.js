@@ -0,0 +1,39 @@
+// server/src/routes/users.js
+const express = require('express');
+const router = express.Router();
+const {
+  getUserProfile,
+  updateMe,
+  changePassword,
+  getMyBookmarks,
+} = require('../controllers/usersController');
+const { verifyToken, optionalAuth } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const schemas = require('../validators/users');
+
+// Slow down guessing the current password with a stolen session, per user
+const passwordLimiter = rateLimit({
+  name: 'password-change',
+  strategy: 'fixed-window',
+  keyBy: 'user',
+  limit: Number(process.env.PASSWORD_RATE_LIMIT) || 5,
+  windowMs: Number(process.env.PASSWORD_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+});
+
+// Protected routes (require authentication)
+// Declared before /:username so "me" is never looked up as a username
+router.patch('/me', verifyToken, validate(schemas.updateMe), updateMe);
+router.post(
+  '/me/password',
+  verifyToken,
+  passwordLimiter,
+  validate(schemas.changePassword),
+  changePassword
+);
+router.get('/me/bookmarks', verifyToken, getMyBookmarks);
+
+// Public routes
+router.get('/:username', optionalAuth, validate(schemas.getProfile), getUserProfile);
+
+module.exports = router;
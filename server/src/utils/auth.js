@@ -1,17 +1,26 @@
 // server/src/utils/auth.js
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+const { config } = require('../config');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+const JWT_SECRET = config.jwt.secret;
+const JWT_EXPIRE = config.jwt.expire;
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
 
 /**
- * Generate JWT token for user
+ * Generate short-lived JWT access token for user
  */
 const generateToken = (user) => {
   const payload = {
     id: user._id || user.id,
     username: user.username,
     email: user.email,
+    role: user.role,
+    // Millisecond precision so a token issued right after a revocation
+    // is not mistaken for one issued before it
+    iat: Date.now() / 1000,
   };
 
   return jwt.sign(payload, JWT_SECRET, {
@@ -30,8 +39,113 @@ const verifyToken = (token) => {
   }
 };
 
+/**
+ * Check whether a decoded access token predates the user's revocation timestamp
+ */
+const isTokenRevoked = (decoded, user) => {
+  if (!user || !user.tokensRevokedAt) return false;
+  return decoded.iat * 1000 < new Date(user.tokensRevokedAt).getTime();
+};
+
+/**
+ * Hash a refresh token for storage and lookup
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new refresh token, starting a new family unless one is given
+ */
+const issueRefreshToken = async (user, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(40).toString('hex');
+
+  await RefreshToken.create({
+    user: user._id || user.id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  return token;
+};
+
+/**
+ * Revoke every refresh token in a family and every outstanding access token
+ * of its user
+ */
+const revokeTokenFamily = async (family, userId) => {
+  const now = new Date();
+
+  await RefreshToken.updateMany({ family, revokedAt: null }, { revokedAt: now });
+  await User.findByIdAndUpdate(userId, { tokensRevokedAt: now });
+};
+
+/**
+ * Revoke every refresh token and outstanding access token of a user,
+ * signing them out everywhere
+ */
+const revokeUserTokens = async (userId) => {
+  const now = new Date();
+
+  await RefreshToken.updateMany({ user: userId, revokedAt: null }, { revokedAt: now });
+  await User.findByIdAndUpdate(userId, { tokensRevokedAt: now });
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting a token that was already rotated is treated as theft and
+ * revokes the whole family. Returns null if the token cannot be used.
+ */
+const rotateRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+
+  // Atomically claim the token so concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (!current) {
+    const reused = await RefreshToken.findOne({ tokenHash });
+    if (reused) {
+      await revokeTokenFamily(reused.family, reused.user);
+    }
+    return null;
+  }
+
+  if (current.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const user = await User.findById(current.user);
+  if (!user) {
+    return null;
+  }
+
+  return {
+    user,
+    token: generateToken(user),
+    refreshToken: await issueRefreshToken(user, current.family),
+  };
+};
+
+/**
+ * Revoke the family of a refresh token on logout. Unknown tokens are ignored.
+ */
+const revokeRefreshToken = async (token) => {
+  const current = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (current) {
+    await revokeTokenFamily(current.family, current.user);
+  }
+};
+
 module.exports = {
   generateToken,
   verifyToken,
+  isTokenRevoked,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
   JWT_SECRET,
-};
\ No newline at end of file
+};
@@ -0,0 +1,76 @@
+// server/src/utils/diff.js
+
+// Largest LCS table (lines before x lines after) computed for one diff.
+// 4M cells is 16MB and a few tens of milliseconds; bigger inputs fall back
+// to a block diff so one request can't stall the event loop.
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Line-level diff of two texts based on the longest common subsequence.
+ * Returns entries of { type: 'unchanged' | 'added' | 'removed', line }.
+ *
+ * Lines shared at the start and end are matched directly. When what is
+ * left is larger than maxCells, it is reported as one removed block
+ * followed by one added block instead.
+ */
+const diffLines = (before = '', after = '', { maxCells = MAX_DIFF_CELLS } = {}) => {
+  const a = before ? String(before).split('\n') : [];
+  const b = after ? String(after).split('\n') : [];
+
+  // Common prefix and suffix need no table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const result = a.slice(0, start).map((line) => ({ type: 'unchanged', line }));
+  const suffix = a.slice(endA).map((line) => ({ type: 'unchanged', line }));
+
+  const n = endA - start;
+  const m = endB - start;
+
+  if (n * m > maxCells) {
+    a.slice(start, endA).forEach((line) => result.push({ type: 'removed', line }));
+    b.slice(start, endB).forEach((line) => result.push({ type: 'added', line }));
+    return result.concat(suffix);
+  }
+
+  // lcs[i * (m + 1) + j] = LCS length of the middle parts from a[i] and b[j]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] =
+        a[start + i] === b[start + j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+
+  while (i < n && j < m) {
+    if (a[start + i] === b[start + j]) {
+      result.push({ type: 'unchanged', line: a[start + i] });
+      i += 1;
+      j += 1;
+    } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+      result.push({ type: 'removed', line: a[start + i] });
+      i += 1;
+    } else {
+      result.push({ type: 'added', line: b[start + j] });
+      j += 1;
+    }
+  }
+  while (i < n) result.push({ type: 'removed', line: a[start + i++] });
+  while (j < m) result.push({ type: 'added', line: b[start + j++] });
+
+  return result.concat(suffix);
+};
+
+module.exports = { diffLines, MAX_DIFF_CELLS };
@@ -0,0 +1,30 @@
+// server/src/utils/engagement.js
+const Bookmark = require('../models/Bookmark');
+const Like = require('../models/Like');
+
+/**
+ * Add likedByMe/bookmarkedByMe flags to posts for a signed-in user.
+ * Accepts documents or lean objects and returns plain objects; posts are
+ * returned unchanged for anonymous callers.
+ */
+const withViewerFlags = async (posts, user) => {
+  if (!user || posts.length === 0) return posts;
+
+  const ids = posts.map((post) => post._id);
+
+  const [likes, bookmarks] = await Promise.all([
+    Like.find({ user: user.id, post: { $in: ids } }).select('post').lean(),
+    Bookmark.find({ user: user.id, post: { $in: ids } }).select('post').lean(),
+  ]);
+
+  const liked = new Set(likes.map((like) => like.post.toString()));
+  const bookmarked = new Set(bookmarks.map((bookmark) => bookmark.post.toString()));
+
+  return posts.map((post) => ({
+    ...(typeof post.toObject === 'function' ? post.toObject() : post),
+    likedByMe: liked.has(post._id.toString()),
+    bookmarkedByMe: bookmarked.has(post._id.toString()),
+  }));
+};
+
+module.exports = { withViewerFlags };
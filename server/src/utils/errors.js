@@ -0,0 +1,83 @@
+// server/src/utils/errors.js - Error classes rendered by the global error handler
+
+/**
+ * Base class for errors that map to an HTTP response.
+ * `code` is a stable, machine-readable identifier clients can branch on.
+ */
+class AppError extends Error {
+  constructor(
+    message,
+    statusCode = 500,
+    code = 'INTERNAL_ERROR',
+    { errors, isOperational = true } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.code = code;
+    this.errors = errors;
+    this.isOperational = isOperational;
+    this.timestamp = new Date().toISOString();
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', code = 'BAD_REQUEST') {
+    super(message, 400, code);
+  }
+}
+
+// Field-level problems, as a list of { field, location, message }
+class ValidationError extends AppError {
+  constructor(errors = [], message = 'Validation failed', code = 'VALIDATION_FAILED') {
+    super(message, 400, code, { errors });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', code = 'UNAUTHORIZED') {
+    super(message, 401, code);
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Not authorized to perform this action', code = 'FORBIDDEN') {
+    super(message, 403, code);
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Resource not found', code = 'NOT_FOUND') {
+    super(message, 404, code);
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', code = 'CONFLICT') {
+    super(message, 409, code);
+  }
+}
+
+// retryAfter is in seconds and sent as the Retry-After header
+class TooManyRequestsError extends AppError {
+  constructor(
+    retryAfter,
+    message = 'Too many requests, please try again later',
+    code = 'RATE_LIMITED'
+  ) {
+    super(message, 429, code);
+    this.retryAfter = retryAfter;
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+};
@@ -1,4 +1,5 @@
 // server/src/utils/helpers.js
+const sanitize = require('sanitize-html');
 
 /**
  * Generate URL-friendly slug from title
@@ -7,11 +8,26 @@ const generateSlug = (title) => {
   if (!title) return '';
   
   return title
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Strip accents (é -> e)
     .toLowerCase()
     .trim()
     .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-')      // Replace spaces with hyphens
-    .replace(/-+/g, '-');      // Replace multiple hyphens with single
+    .replace(/[\s_]+/g, '-')   // Replace spaces with hyphens
+    .replace(/-+/g, '-')       // Replace multiple hyphens with single
+    .replace(/^-|-$/g, '');    // Trim leading and trailing hyphens
+};
+
+/**
+ * Normalize tags given as an array or comma-separated string:
+ * slugified, case-insensitively deduplicated, empty tags dropped
+ */
+const normalizeTags = (tags) => {
+  if (!tags) return [];
+
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+
+  return [...new Set(list.map((tag) => generateSlug(String(tag))).filter(Boolean))];
 };
 
 /**
@@ -25,15 +41,13 @@ const validateEmail = (email) => {
 };
 
 /**
- * Sanitize user input (remove HTML tags and trim)
+ * Sanitize user input: drop all HTML (and the contents of script/style
+ * tags) and trim. The result is HTML-escaped text.
  */
 const sanitizeInput = (input) => {
   if (!input) return '';
-  
-  return input
-    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove script tags first
-    .replace(/<[^>]*>/g, '') // Remove all other HTML tags
-    .trim();
+
+  return sanitize(String(input), { allowedTags: [], allowedAttributes: {} }).trim();
 };
 
 /**
@@ -69,17 +83,105 @@ const formatDate = (date, format = 'default') => {
  */
 const calculateReadingTime = (content, wordsPerMinute = 200) => {
   if (!content) return 0;
-  
-  const words = content.trim().split(/\s+/).length;
-  const minutes = Math.ceil(words / wordsPerMinute);
-  
+
+  const minutes = Math.ceil(countWords(content) / wordsPerMinute);
+
   return minutes;
 };
 
+/**
+ * Count whitespace-separated words
+ */
+const countWords = (text) => {
+  const trimmed = (text || '').trim();
+  return trimmed ? trimmed.split(/\s+/).length : 0;
+};
+
+/**
+ * Shorten plain text to at most maxLength characters, cutting at a word
+ * boundary and ending with an ellipsis when anything was removed
+ */
+const createExcerpt = (text, maxLength = 200) => {
+  const clean = (text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+
+  // Room for the ellipsis: a space at index maxLength - 1 or earlier still fits
+  const cut = clean.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  const shortened = lastSpace > 0 ? cut.slice(0, lastSpace) : cut.slice(0, maxLength - 1);
+
+  return `${shortened.replace(/[\s.,;:!?-]+$/, '')}…`;
+};
+
+/**
+ * Escape HTML special characters
+ */
+const escapeHtml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Extract highlightable terms from a text search query
+ * Quoted phrases are kept together; negated terms (-word) are dropped
+ */
+const parseSearchTerms = (query) => {
+  if (!query) return [];
+
+  const terms = [];
+  const pattern = /(-?)"([^"]+)"|(-?)(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const negated = match[1] || match[3];
+    const term = (match[2] || match[4]).trim();
+    if (!negated && term) {
+      terms.push(term);
+    }
+  }
+
+  return terms;
+};
+
+/**
+ * Build an HTML-escaped snippet around the first match of any term,
+ * wrapping every match in <mark> tags
+ */
+const highlightMatches = (text, terms, radius = 80) => {
+  if (!text) return '';
+
+  const escapeRegex = (term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = terms.length
+    ? new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi')
+    : null;
+
+  // Center the snippet on the first match, if any
+  const first = pattern ? text.search(pattern) : -1;
+  const start = Math.max(0, first - radius);
+  const end = Math.min(text.length, start + radius * 2);
+  const snippet = text.slice(start, end);
+
+  const highlighted = snippet
+    .split(pattern || /(?!)/)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+
+  return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+};
+
 module.exports = {
   generateSlug,
+  normalizeTags,
   validateEmail,
   sanitizeInput,
   formatDate,
   calculateReadingTime,
+  countWords,
+  createExcerpt,
+  escapeHtml,
+  parseSearchTerms,
+  highlightMatches,
 };
\ No newline at end of file
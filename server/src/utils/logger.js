@@ -1,41 +1,170 @@
+// server/src/utils/logger.js - Application logger
 const winston = require('winston');
+require('winston-daily-rotate-file');
 const path = require('path');
+const { getRequestId } = require('./requestContext');
+const { config } = require('../config');
+
+const NODE_ENV = config.env;
+const LOG_DIR = process.env.LOG_DIR || path.join(__dirname, '../../logs');
+// Rotate when a file reaches LOG_MAX_SIZE or the day changes, keep LOG_MAX_FILES
+const LOG_MAX_SIZE = process.env.LOG_MAX_SIZE || '20m';
+const LOG_MAX_FILES = process.env.LOG_MAX_FILES || '14d';
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Field paths whose values never reach the logs. A bare key matches at any
+ * depth; dotted paths are matched from the top of the entry, with `*`
+ * standing for any single key. Matching ignores case.
+ * Extra paths can be added with the comma-separated LOG_REDACT_PATHS.
+ */
+const DEFAULT_REDACT_PATHS = [
+  'password',
+  'currentPassword',
+  'newPassword',
+  'token',
+  'accessToken',
+  'refreshToken',
+  'authorization',
+  'cookie',
+  'secret',
+];
+
+const REDACT_PATHS = DEFAULT_REDACT_PATHS.concat(
+  (process.env.LOG_REDACT_PATHS || '')
+    .split(',')
+    .map((p) => p.trim())
+    .filter(Boolean)
+);
+
+const compilePaths = (paths) => paths.map((p) => p.toLowerCase().split('.'));
+
+const REDACT_PATTERNS = compilePaths(REDACT_PATHS);
+
+const matchesPath = (pattern, keys) => {
+  if (pattern.length === 1) return pattern[0] === keys[keys.length - 1];
+  if (pattern.length !== keys.length) return false;
+  return pattern.every((segment, i) => segment === '*' || segment === keys[i]);
+};
+
+const isPlainObject = (value) => {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Copy `value` with redacted fields replaced. Objects passed in by callers
+ * (request bodies, headers, ...) are never modified.
+ */
+const redactValue = (value, patterns, keys = [], seen = new WeakSet()) => {
+  if (value === null || typeof value !== 'object') return value;
+  if (seen.has(value)) return '[Circular]';
+
+  const isArray = Array.isArray(value);
+  // Dates, ObjectIds, Buffers and the like are logged as they are
+  if (!isArray && !isPlainObject(value)) return value;
+
+  seen.add(value);
+  const copy = isArray ? [] : {};
+
+  Object.keys(value).forEach((key) => {
+    const childKeys = [...keys, key.toLowerCase()];
+    copy[key] = patterns.some((pattern) => matchesPath(pattern, childKeys))
+      ? REDACTED
+      : redactValue(value[key], patterns, childKeys, seen);
+  });
+
+  seen.delete(value);
+  return copy;
+};
+
+// Redact configured paths on every entry. Winston's own symbol keys are kept.
+const redact = winston.format((info, { paths } = {}) => {
+  const patterns = paths ? compilePaths(paths) : REDACT_PATTERNS;
+  const redacted = redactValue({ ...info }, patterns);
+
+  Object.keys(info).forEach((key) => {
+    info[key] = redacted[key];
+  });
+  return info;
+});
+
+// Tag entries written while handling a request with its id
+const requestContext = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
 
 const logFormat = winston.format.combine(
+  requestContext(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.splat(),
+  redact(),
   winston.format.json()
 );
 
+// One line per entry for reading in a terminal: time, level, [module] message {meta}
+const prettyFormat = winston.format.combine(
+  winston.format.colorize(),
+  winston.format.printf(({ timestamp, level, message, module, service, stack, ...meta }) => {
+    const tag = module ? ` [${module}]` : '';
+    const rest = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
+    return `${timestamp} ${level}${tag} ${message}${rest}${stack ? `\n${stack}` : ''}`;
+  })
+);
+
+// Rotating file transport, with a stable symlink to the current file
+const rotatingFile = (name, options = {}) =>
+  new winston.transports.DailyRotateFile({
+    dirname: LOG_DIR,
+    filename: `${name}-%DATE%.log`,
+    datePattern: 'YYYY-MM-DD',
+    maxSize: LOG_MAX_SIZE,
+    maxFiles: LOG_MAX_FILES,
+    createSymlink: true,
+    symlinkName: `${name}.log`,
+    ...options,
+  });
+
+/**
+ * Transports per environment: pretty console plus files in development,
+ * JSON on stdout plus files in production, nothing in tests.
+ * Set LOG_FILES=false to turn file logging off.
+ */
+const transportsFor = (env) => {
+  if (env === 'test') return [];
+
+  const files =
+    process.env.LOG_FILES === 'false'
+      ? []
+      : [rotatingFile('error', { level: 'error' }), rotatingFile('combined')];
+
+  if (env === 'production') {
+    return [new winston.transports.Console(), ...files];
+  }
+
+  return [new winston.transports.Console({ format: prettyFormat }), ...files];
+};
+
 const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
+  level: config.logLevel,
   format: logFormat,
   defaultMeta: { service: 'mern-app' },
-  transports: [
-    // Write all logs to error.log
-    new winston.transports.File({
-      filename: path.join(__dirname, '../../logs/error.log'),
-      level: 'error',
-    }),
-    // Write all logs to combined.log
-    new winston.transports.File({
-      filename: path.join(__dirname, '../../logs/combined.log'),
-    }),
-  ],
+  transports: transportsFor(NODE_ENV),
+  silent: NODE_ENV === 'test',
 });
 
-// If not in production, log to console as well
-if (process.env.NODE_ENV !== 'production') {
-  logger.add(
-    new winston.transports.Console({
-      format: winston.format.combine(
-        winston.format.colorize(),
-        winston.format.simple()
-      ),
-    })
-  );
-}
+/**
+ * Logger tagging its entries with the module that wrote them
+ */
+const createLogger = (module) => logger.child({ module });
+
+const httpLogger = createLogger('http');
 
 // Request logging middleware
 const requestLogger = (req, res, next) => {
@@ -43,17 +172,28 @@ const requestLogger = (req, res, next) => {
 
   res.on('finish', () => {
     const duration = Date.now() - start;
-    logger.info({
+    httpLogger.info({
+      message: `${req.method} ${req.originalUrl} ${res.statusCode}`,
       method: req.method,
       url: req.originalUrl,
       status: res.statusCode,
       duration: `${duration}ms`,
       ip: req.ip,
       userAgent: req.get('user-agent'),
+      requestId: req.id,
     });
   });
 
   next();
 };
 
-module.exports = { logger, requestLogger };
\ No newline at end of file
+module.exports = {
+  logger,
+  createLogger,
+  requestLogger,
+  redact,
+  redactValue,
+  transportsFor,
+  REDACTED,
+  DEFAULT_REDACT_PATHS,
+};
@@ -0,0 +1,105 @@
+// server/src/utils/markdown.js - Markdown rendering and HTML sanitization
+const MarkdownIt = require('markdown-it');
+const sanitize = require('sanitize-html');
+
+// Raw HTML in the source is escaped rather than rendered
+const md = new MarkdownIt({ html: false, linkify: true, typographer: false });
+
+/**
+ * Allowlist applied to every piece of HTML we serve. Anything not listed
+ * here (tags, attributes, URL schemes, inline styles) is dropped.
+ */
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1',
+    'h2',
+    'h3',
+    'h4',
+    'h5',
+    'h6',
+    'p',
+    'br',
+    'hr',
+    'blockquote',
+    'pre',
+    'code',
+    'em',
+    'strong',
+    's',
+    'del',
+    'ul',
+    'ol',
+    'li',
+    'a',
+    'img',
+    'table',
+    'thead',
+    'tbody',
+    'tr',
+    'th',
+    'td',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    code: ['class'],
+    th: ['style'],
+    td: ['style'],
+  },
+  // Table column alignment is the only inline style markdown-it produces
+  allowedStyles: {
+    th: { 'text-align': [/^(left|right|center)$/] },
+    td: { 'text-align': [/^(left|right|center)$/] },
+  },
+  // Only the language-* classes markdown-it adds to fenced code
+  allowedClasses: {
+    code: [/^language-[\w-]+$/],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  disallowedTagsMode: 'discard',
+  transformTags: {
+    // Links open without giving the target page access to ours
+    a: sanitize.simpleTransform('a', { rel: 'nofollow noopener noreferrer' }),
+  },
+};
+
+/**
+ * Clean untrusted HTML against the allowlist
+ */
+const sanitizeHtml = (html) => sanitize(html || '', SANITIZE_OPTIONS);
+
+/**
+ * Render Markdown source to sanitized HTML
+ */
+const renderMarkdown = (source) => sanitizeHtml(md.render(source || ''));
+
+/**
+ * Plain text of Markdown source, without markup, one line per block
+ */
+const markdownToText = (source) => {
+  const lines = [];
+
+  md.parse(source || '', {}).forEach((token) => {
+    if (token.type === 'inline') {
+      const text = token.children
+        .map((child) => {
+          if (child.type === 'text' || child.type === 'code_inline') return child.content;
+          if (child.type === 'softbreak' || child.type === 'hardbreak') return ' ';
+          // Image alt text lives in the children of the image token
+          if (child.type === 'image') return child.children.map((c) => c.content).join('');
+          return '';
+        })
+        .join('');
+      lines.push(text);
+    } else if (token.type === 'fence' || token.type === 'code_block') {
+      lines.push(token.content.trim());
+    }
+  });
+
+  return lines.filter(Boolean).join('\n');
+};
+
+module.exports = { renderMarkdown, markdownToText, sanitizeHtml, SANITIZE_OPTIONS };
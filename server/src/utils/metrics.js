@@ -0,0 +1,203 @@
+// server/src/utils/metrics.js - Minimal metrics registry in Prometheus text format
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * Render a label set as {a="1",b="2"}, or nothing when empty
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Shared handling of label sets. Series are keyed by their label values
+ * in declaration order so { a, b } and { b, a } land in the same series.
+ */
+class Metric {
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // series key -> { labels, value }
+    this.series = new Map();
+  }
+
+  seriesFor(labels = {}) {
+    const picked = {};
+    this.labelNames.forEach((name) => {
+      picked[name] = labels[name] === undefined ? '' : labels[name];
+    });
+
+    const key = JSON.stringify(this.labelNames.map((name) => picked[name]));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: picked, value: this.initialValue() });
+    }
+    return this.series.get(key);
+  }
+
+  initialValue() {
+    return 0;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  render() {
+    const lines = this.header();
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    });
+    return lines;
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels).value += value;
+  }
+}
+
+/**
+ * A value that can go up and down. Pass `collect` to compute the value
+ * when metrics are rendered instead of tracking it.
+ */
+class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super(options);
+    this.collect = collect;
+  }
+
+  get type() {
+    return 'gauge';
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels).value = value;
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels).value += value;
+  }
+
+  dec(labels, value = 1) {
+    this.seriesFor(labels).value -= value;
+  }
+
+  render() {
+    if (this.collect) this.set({}, this.collect());
+    return super.render();
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  initialValue() {
+    return { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels).value;
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header();
+
+    this.series.forEach(({ labels, value }) => {
+      this.buckets.forEach((bound, i) => {
+        const bucketLabels = formatLabels({ ...labels, le: bound });
+        lines.push(`${this.name}_bucket${bucketLabels} ${value.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${value.count}`);
+    });
+
+    return lines;
+  }
+}
+
+/**
+ * Holds metrics and renders them together
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  reset() {
+    this.metrics.forEach((metric) => metric.reset());
+  }
+
+  render() {
+    const lines = [];
+    this.metrics.forEach((metric) => lines.push(...metric.render()));
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+// Registry served at /metrics
+const registry = new Registry();
+
+module.exports = {
+  CONTENT_TYPE,
+  DEFAULT_BUCKETS,
+  Counter,
+  Gauge,
+  Histogram,
+  Registry,
+  registry,
+};
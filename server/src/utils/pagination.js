@@ -0,0 +1,115 @@
+// server/src/utils/pagination.js
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = Number(process.env.MAX_PAGE_LIMIT) || 50;
+
+/**
+ * Parse page/limit query params, clamping limit to the configured maximum
+ */
+const parsePagination = (query, { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}) => {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Encode a document's sort position as an opaque cursor
+ */
+const encodeCursor = (doc) =>
+  Buffer.from(
+    JSON.stringify({ c: new Date(doc.createdAt).toISOString(), i: String(doc._id) })
+  ).toString('base64url');
+
+/**
+ * Decode an opaque cursor. Returns null if it is malformed.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const { c, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const createdAt = new Date(c);
+
+    if (isNaN(createdAt.getTime()) || !/^[a-f\d]{24}$/i.test(i)) {
+      return null;
+    }
+
+    return { createdAt, id: new mongoose.Types.ObjectId(i) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Filter matching documents after a cursor in { createdAt: -1, _id: -1 } order
+ */
+const cursorFilter = ({ createdAt, id }) => ({
+  $or: [
+    { createdAt: { $lt: createdAt } },
+    { createdAt, _id: { $lt: id } },
+  ],
+});
+
+/**
+ * Build the request URL with some query params replaced
+ */
+const urlWith = (req, params) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+
+  return url.toString();
+};
+
+/**
+ * Build an RFC 5988 Link header from a map of rel => query params
+ */
+const buildLinkHeader = (req, links) =>
+  Object.entries(links)
+    .map(([rel, params]) => `<${urlWith(req, params)}>; rel="${rel}"`)
+    .join(', ');
+
+/**
+ * Send an offset-paginated envelope with Link headers
+ */
+const sendPage = (req, res, { data, total, page, limit }) => {
+  const pages = Math.ceil(total / limit);
+  const hasNext = page < pages;
+
+  const links = { first: { page: 1, limit } };
+  if (page > 1) links.prev = { page: Math.min(page - 1, Math.max(pages, 1)), limit };
+  if (hasNext) links.next = { page: page + 1, limit };
+  links.last = { page: Math.max(pages, 1), limit };
+
+  res.set('Link', buildLinkHeader(req, links));
+
+  return res.status(200).json({ data, total, page, pages, hasNext });
+};
+
+/**
+ * Send a cursor-paginated envelope. Expects limit + 1 documents so the
+ * extra one can signal whether another page exists.
+ */
+const sendCursorPage = (req, res, { data, limit }) => {
+  const hasNext = data.length > limit;
+  const items = hasNext ? data.slice(0, limit) : data;
+  const nextCursor = hasNext ? encodeCursor(items[items.length - 1]) : null;
+
+  if (nextCursor) {
+    res.set('Link', buildLinkHeader(req, { next: { cursor: nextCursor, limit } }));
+  }
+
+  return res.status(200).json({ data: items, limit, hasNext, nextCursor });
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  buildLinkHeader,
+  sendPage,
+  sendCursorPage,
+};
@@ -0,0 +1,35 @@
+// server/src/utils/permissions.js
+
+// Roles allowed to moderate content they do not own
+const MODERATOR_ROLES = ['editor', 'admin'];
+
+/**
+ * Check whether a user owns a resource or may moderate it through their role
+ */
+const canModify = (user, ownerId) =>
+  Boolean(user) &&
+  (MODERATOR_ROLES.includes(user.role) || String(ownerId) === String(user.id));
+
+/**
+ * Query conditions for the posts a user may see: published posts, plus
+ * their own drafts. Moderators see everything.
+ */
+const visibilityFilter = (user) => {
+  if (!user) return { status: 'published' };
+  if (MODERATOR_ROLES.includes(user.role)) return {};
+  return { $or: [{ status: 'published' }, { author: user.id }] };
+};
+
+/**
+ * Check whether a single (possibly populated) post is visible to a user
+ */
+const isVisibleTo = (post, user) =>
+  post.status === 'published' ||
+  Boolean(post.author && canModify(user, post.author._id || post.author));
+
+module.exports = {
+  MODERATOR_ROLES,
+  canModify,
+  visibilityFilter,
+  isVisibleTo,
+};
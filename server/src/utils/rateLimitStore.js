@@ -0,0 +1,64 @@
+// server/src/utils/rateLimitStore.js
+
+/**
+ * In-memory storage for rate limit state.
+ *
+ * Any store passed to the rate limiter must implement the same async
+ * interface, so a shared store (e.g. Redis) can replace this one when the
+ * API runs on several processes:
+ *
+ *   get(key)               -> state object, or undefined if absent/expired
+ *   set(key, state, ttlMs) -> keep state for ttlMs
+ *   delete(key)
+ *
+ * Reads and writes are not atomic, so concurrent requests may slightly
+ * overshoot a limit; that trade-off keeps the interface store-agnostic.
+ */
+class MemoryStore {
+  constructor({ now = Date.now, pruneEvery = 1000 } = {}) {
+    this.now = now;
+    this.pruneEvery = pruneEvery;
+    this.writes = 0;
+    // key -> { state, expiresAt }
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= this.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    return entry.state;
+  }
+
+  async set(key, state, ttlMs) {
+    this.entries.set(key, { state, expiresAt: this.now() + ttlMs });
+
+    // Expired keys are otherwise only dropped when read again
+    this.writes += 1;
+    if (this.writes % this.pruneEvery === 0) {
+      this.prune();
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Remove every expired entry
+   */
+  prune() {
+    const now = this.now();
+
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    });
+  }
+}
+
+module.exports = { MemoryStore };
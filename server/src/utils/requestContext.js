@@ -0,0 +1,19 @@
+// server/src/utils/requestContext.js - Per-request context shared across async calls
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with `context` available to everything it calls,
+ * including callbacks and promises started from it
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Current request context, or an empty object outside of a request
+ */
+const getContext = () => storage.getStore() || {};
+
+const getRequestId = () => getContext().requestId;
+
+module.exports = { runWithContext, getContext, getRequestId };
@@ -0,0 +1,102 @@
+// server/src/utils/scheduler.js
+const { createLogger } = require('./logger');
+
+const logger = createLogger('scheduler');
+
+/**
+ * Minimal in-process job scheduler built on setInterval.
+ * Each job runs at most once at a time; a tick that arrives while the
+ * previous run is still going is skipped.
+ */
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.running = false;
+  }
+
+  /**
+   * Register a job. Jobs registered after start() are scheduled immediately.
+   */
+  register(name, task, intervalMs) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job "${name}" is already registered`);
+    }
+
+    const job = {
+      name,
+      task,
+      intervalMs,
+      timer: null,
+      inProgress: false,
+      lastRunAt: null,
+      lastError: null,
+    };
+    this.jobs.set(name, job);
+
+    if (this.running) {
+      this.schedule(job);
+    }
+
+    return this;
+  }
+
+  schedule(job) {
+    job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+    // Don't keep the process alive just for scheduled jobs
+    if (job.timer.unref) job.timer.unref();
+  }
+
+  /**
+   * Run a job now, recording its outcome. Errors are logged, not thrown.
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+
+    if (!job || job.inProgress) return;
+
+    job.inProgress = true;
+    try {
+      await job.task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error({ message: 'Scheduled job failed', job: name, error: error.message });
+    } finally {
+      job.inProgress = false;
+      job.lastRunAt = new Date();
+    }
+  }
+
+  start() {
+    if (this.running) return;
+
+    this.running = true;
+    this.jobs.forEach((job) => this.schedule(job));
+  }
+
+  stop() {
+    this.jobs.forEach((job) => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+    this.running = false;
+  }
+
+  status() {
+    return {
+      running: this.running,
+      jobs: [...this.jobs.values()].map(({ name, intervalMs, inProgress, lastRunAt, lastError }) => ({
+        name,
+        intervalMs,
+        inProgress,
+        lastRunAt,
+        lastError,
+      })),
+    };
+  }
+}
+
+// Shared instance used by the server
+const scheduler = new Scheduler();
+
+module.exports = { Scheduler, scheduler };
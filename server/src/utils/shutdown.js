@@ -0,0 +1,96 @@
+// server/src/utils/shutdown.js - Graceful shutdown on termination signals
+const { createLogger } = require('./logger');
+const { disconnectDatabase } = require('../config/database');
+
+const logger = createLogger('shutdown');
+
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10 * 1000;
+
+let shuttingDown = false;
+
+// Readiness reports unavailable as soon as shutdown starts
+const isShuttingDown = () => shuttingDown;
+
+/**
+ * Stop accepting connections and wait for in-flight requests to finish.
+ * Connections still open after `timeoutMs` are destroyed.
+ * Resolves with true if everything drained in time.
+ */
+const drainServer = (server, timeoutMs) =>
+  new Promise((resolve) => {
+    // Keep-alive sockets stay open once their request is answered, so
+    // keep closing the idle ones until the server has none left
+    const sweep = setInterval(() => server.closeIdleConnections(), 100);
+    sweep.unref();
+
+    const timer = setTimeout(() => {
+      clearInterval(sweep);
+      server.closeAllConnections();
+      resolve(false);
+    }, timeoutMs);
+    timer.unref();
+
+    server.close(() => {
+      clearInterval(sweep);
+      clearTimeout(timer);
+      resolve(true);
+    });
+
+    server.closeIdleConnections();
+  });
+
+// Reject if `promise` hasn't settled within `ms`
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+    timer.unref();
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Shut down in order: stop scheduled jobs, drain HTTP requests, write
+ * buffered views, then close the database connection.
+ * Resolves with the exit code: 0 when drained cleanly, 1 otherwise.
+ */
+const gracefulShutdown = async ({
+  server,
+  scheduler,
+  viewCounter,
+  timeoutMs = SHUTDOWN_TIMEOUT_MS,
+}) => {
+  if (shuttingDown) return undefined;
+  shuttingDown = true;
+
+  let exitCode = 0;
+
+  scheduler.stop();
+
+  const drained = await drainServer(server, timeoutMs);
+  if (!drained) {
+    logger.warn({ message: 'Forced open connections closed after timeout', timeoutMs });
+    exitCode = 1;
+  }
+
+  try {
+    await viewCounter.flush();
+  } catch (error) {
+    logger.error({ message: 'Failed to flush post views on shutdown', error: error.message });
+    exitCode = 1;
+  }
+
+  try {
+    // A connection attempt still in progress would otherwise hold this open
+    await withTimeout(disconnectDatabase(), timeoutMs, 'Timed out closing the database');
+  } catch (error) {
+    logger.error({ message: 'Failed to close database connection', error: error.message });
+    exitCode = 1;
+  }
+
+  logger.info({ message: 'Shutdown complete', exitCode });
+  return exitCode;
+};
+
+module.exports = { gracefulShutdown, drainServer, isShuttingDown, SHUTDOWN_TIMEOUT_MS };
@@ -0,0 +1,165 @@
+// server/src/utils/viewCounter.js
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+
+const VIEW_DEDUPE_WINDOW_MS = Number(process.env.VIEW_DEDUPE_WINDOW_MS) || 30 * 60 * 1000;
+
+/**
+ * Identify a viewer by user id, or by a hash of their IP when anonymous
+ */
+const viewerKey = ({ user, ip }) => {
+  if (user && user.id) return `user:${user.id}`;
+  return `ip:${crypto.createHash('sha256').update(String(ip)).digest('hex').slice(0, 32)}`;
+};
+
+/**
+ * Buffers post views in memory and writes them in batches.
+ * Repeat views by the same viewer within the window are not counted.
+ */
+class ViewCounter {
+  constructor({ windowMs = VIEW_DEDUPE_WINDOW_MS, now = Date.now } = {}) {
+    this.windowMs = windowMs;
+    this.now = now;
+    // "postId:viewer" -> time the view was last counted
+    this.recent = new Map();
+    // postId -> Map(viewer -> viewed at)
+    this.pending = new Map();
+  }
+
+  /**
+   * Record a view. Returns true if it was counted, false if deduplicated.
+   */
+  record(postId, viewer) {
+    const id = String(postId);
+    const key = `${id}:${viewer}`;
+    const now = this.now();
+    const last = this.recent.get(key);
+
+    if (last !== undefined && now - last < this.windowMs) {
+      return false;
+    }
+
+    this.recent.set(key, now);
+
+    if (!this.pending.has(id)) {
+      this.pending.set(id, new Map());
+    }
+    this.pending.get(id).set(viewer, new Date(now));
+
+    return true;
+  }
+
+  /**
+   * Number of counted views not yet written for a post
+   */
+  pendingCount(postId) {
+    const viewers = this.pending.get(String(postId));
+    return viewers ? viewers.size : 0;
+  }
+
+  /**
+   * Number of counted views not yet written across all posts
+   */
+  pendingTotal() {
+    let total = 0;
+    this.pending.forEach((viewers) => {
+      total += viewers.size;
+    });
+    return total;
+  }
+
+  /**
+   * Write buffered views with one bulk $inc per collection
+   */
+  async flush() {
+    this.prune();
+
+    if (this.pending.size === 0) return;
+
+    const batch = this.pending;
+    this.pending = new Map();
+
+    const postOps = [];
+    const viewOps = [];
+
+    batch.forEach((viewers, postId) => {
+      postOps.push({
+        updateOne: {
+          filter: { _id: postId },
+          update: { $inc: { views: viewers.size } },
+        },
+      });
+
+      viewers.forEach((viewedAt, viewer) => {
+        viewOps.push({
+          updateOne: {
+            filter: { post: postId, viewer },
+            update: {
+              $set: { lastViewedAt: viewedAt },
+              $setOnInsert: { firstViewedAt: viewedAt },
+            },
+            upsert: true,
+          },
+        });
+      });
+    });
+
+    try {
+      await PostView.bulkWrite(viewOps, { ordered: false });
+    } catch (error) {
+      // Viewer upserts are idempotent and no view has been counted yet,
+      // so the whole batch can be retried
+      this.requeue(batch);
+      throw error;
+    }
+
+    try {
+      await Post.bulkWrite(postOps, { ordered: false });
+    } catch (error) {
+      // Unordered writes carry on past a failure, so only the reported
+      // failures are retried. Errors without per-operation details (a lost
+      // connection) retry everything and may count some views twice.
+      if (Array.isArray(error.writeErrors)) {
+        const postIds = [...batch.keys()];
+        const failed = new Map();
+        error.writeErrors.forEach(({ index }) => {
+          failed.set(postIds[index], batch.get(postIds[index]));
+        });
+        this.requeue(failed);
+      } else {
+        this.requeue(batch);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Put views that could not be written back so the next flush retries them
+   */
+  requeue(batch) {
+    batch.forEach((viewers, postId) => {
+      const current = this.pending.get(postId) || new Map();
+      viewers.forEach((viewedAt, viewer) => {
+        if (!current.has(viewer)) current.set(viewer, viewedAt);
+      });
+      this.pending.set(postId, current);
+    });
+  }
+
+  /**
+   * Forget dedupe entries older than the window
+   */
+  prune() {
+    const cutoff = this.now() - this.windowMs;
+
+    this.recent.forEach((at, key) => {
+      if (at <= cutoff) this.recent.delete(key);
+    });
+  }
+}
+
+// Shared instance used by the posts controller
+const viewCounter = new ViewCounter();
+
+module.exports = { ViewCounter, viewCounter, viewerKey };
@@ -0,0 +1,34 @@
+// server/src/validators/auth.js - Request schemas for the auth routes
+
+// Passwords are compared exactly as sent, so numbers are not coerced
+const password = { type: 'string', required: true, minLength: 1, trim: false, strict: true };
+
+const register = {
+  body: {
+    username: { type: 'string', required: true, minLength: 3 },
+    email: { type: 'string', required: true, minLength: 1 },
+    password: { ...password, minLength: 6 },
+  },
+};
+
+const login = {
+  body: {
+    email: { type: 'string', required: true, minLength: 1 },
+    password,
+  },
+};
+
+// Refresh and logout both take the refresh token
+const refreshToken = {
+  body: {
+    refreshToken: { type: 'string', required: true, minLength: 1 },
+  },
+};
+
+module.exports = {
+  register,
+  login,
+  refresh: refreshToken,
+  logout: refreshToken,
+  password,
+};
@@ -0,0 +1,46 @@
+// server/src/validators/categories.js - Request schemas for the categories routes
+
+const categoryParams = {
+  idOrSlug: { type: 'string', required: true, minLength: 1 },
+};
+
+// A parent is given by id or slug; null or '' means top level
+const fields = {
+  name: { type: 'string', minLength: 1, maxLength: 50 },
+  // Slugs shaped like an ObjectId could never be looked up by slug
+  slug: {
+    type: 'string',
+    minLength: 1,
+    pattern: /^(?![a-f\d]{24}$)/i,
+    patternMessage: 'cannot look like an ID',
+  },
+  description: { type: 'string', maxLength: 500 },
+  parent: { type: 'string', nullable: true },
+};
+
+const getCategory = {
+  params: categoryParams,
+};
+
+const createCategory = {
+  body: {
+    ...fields,
+    name: { ...fields.name, required: true },
+  },
+};
+
+const updateCategory = {
+  params: categoryParams,
+  body: fields,
+};
+
+const deleteCategory = {
+  params: categoryParams,
+};
+
+module.exports = {
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
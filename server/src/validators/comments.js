@@ -0,0 +1,44 @@
+// server/src/validators/comments.js - Request schemas for the comments routes
+
+const postParams = {
+  id: { type: 'objectId', required: true },
+};
+
+const commentParams = {
+  ...postParams,
+  commentId: { type: 'objectId', required: true },
+};
+
+const content = { type: 'string', required: true, minLength: 1, maxLength: 2000 };
+
+const listComments = {
+  params: postParams,
+  query: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1 },
+  },
+};
+
+const createComment = {
+  params: postParams,
+  body: {
+    content,
+    parent: { type: 'objectId', nullable: true },
+  },
+};
+
+const updateComment = {
+  params: commentParams,
+  body: { content },
+};
+
+const deleteComment = {
+  params: commentParams,
+};
+
+module.exports = {
+  listComments,
+  createComment,
+  updateComment,
+  deleteComment,
+};
@@ -0,0 +1,146 @@
+// server/src/validators/posts.js - Request schemas for the posts routes
+
+const idParams = {
+  id: { type: 'objectId', required: true },
+};
+
+const pagination = {
+  page: { type: 'integer', min: 1 },
+  // Values above the configured maximum are clamped, not rejected
+  limit: { type: 'integer', min: 1 },
+};
+
+// Include the rendered contentHtml in responses
+const html = { type: 'boolean' };
+
+// Fields list endpoints can be limited to with ?fields=title,excerpt
+const POST_FIELDS = [
+  'title',
+  'slug',
+  'content',
+  'contentHtml',
+  'excerpt',
+  'customExcerpt',
+  'wordCount',
+  'readingTime',
+  'author',
+  'category',
+  'tags',
+  'status',
+  'publishedAt',
+  'publishAt',
+  'views',
+  'commentsCount',
+  'likesCount',
+  'deletedAt',
+  'createdAt',
+  'updatedAt',
+];
+
+const fields = { type: 'array', items: { type: 'string', enum: POST_FIELDS } };
+
+// Keeps revision diffs and Markdown rendering bounded
+const MAX_CONTENT_LENGTH = 100000;
+
+const customExcerpt = { type: 'string', maxLength: 500, nullable: true };
+
+const tags = {
+  type: 'array',
+  maxItems: 20,
+  items: { type: 'string', minLength: 1, maxLength: 50 },
+};
+
+const listPosts = {
+  query: {
+    ...pagination,
+    // An empty cursor requests the first page in cursor mode
+    cursor: { type: 'string', allowEmpty: true },
+    category: { type: 'string' },
+    status: { type: 'string', enum: ['draft', 'published'] },
+    tags: { type: 'array', items: { type: 'string' } },
+    tagMatch: { type: 'string', enum: ['any', 'all'] },
+    sort: { type: 'string' },
+    html,
+    fields,
+  },
+};
+
+const searchPosts = {
+  query: {
+    ...pagination,
+    q: { type: 'string', required: true, minLength: 1 },
+    category: { type: 'string' },
+    author: { type: 'string' },
+    status: { type: 'string', enum: ['draft', 'published'] },
+    sort: { type: 'string' },
+    fields,
+  },
+};
+
+const listTrash = {
+  query: { ...pagination, fields },
+};
+
+const postId = {
+  params: idParams,
+};
+
+const getPost = {
+  params: idParams,
+  query: { html },
+};
+
+const getPostBySlug = {
+  query: { html },
+};
+
+const createPost = {
+  body: {
+    title: { type: 'string', required: true, minLength: 1, maxLength: 200 },
+    content: {
+      type: 'string',
+      required: true,
+      minLength: 1,
+      maxLength: MAX_CONTENT_LENGTH,
+      trim: false,
+    },
+    category: { type: 'string' },
+    tags,
+    customExcerpt,
+    publishAt: { type: 'date', nullable: true },
+  },
+};
+
+// Only editable content fields; slug, status, counters and timestamps are
+// managed by the server and the publish endpoints
+const updatePost = {
+  params: idParams,
+  body: {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    content: { type: 'string', minLength: 1, maxLength: MAX_CONTENT_LENGTH, trim: false },
+    category: { type: 'string', nullable: true },
+    tags,
+    customExcerpt,
+  },
+};
+
+const publishPost = {
+  params: idParams,
+  body: {
+    publishAt: { type: 'date', nullable: true },
+  },
+};
+
+module.exports = {
+  POST_FIELDS,
+  MAX_CONTENT_LENGTH,
+  listPosts,
+  searchPosts,
+  listTrash,
+  postId,
+  getPost,
+  getPostBySlug,
+  createPost,
+  updatePost,
+  publishPost,
+};
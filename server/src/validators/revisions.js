@@ -0,0 +1,26 @@
+// server/src/validators/revisions.js - Request schemas for the revisions routes
+
+const postParams = {
+  id: { type: 'objectId', required: true },
+};
+
+const rev = { type: 'integer', required: true, min: 1 };
+
+const listRevisions = {
+  params: postParams,
+};
+
+const diffRevisions = {
+  params: postParams,
+  query: { from: rev, to: rev },
+};
+
+const restoreRevision = {
+  params: { ...postParams, rev },
+};
+
+module.exports = {
+  listRevisions,
+  diffRevisions,
+  restoreRevision,
+};
@@ -0,0 +1,21 @@
+// server/src/validators/tags.js - Request schemas for the tags routes
+
+const listTags = {
+  query: {
+    limit: { type: 'integer', min: 1 },
+  },
+};
+
+const renameTag = {
+  params: {
+    tag: { type: 'string', required: true, minLength: 1 },
+  },
+  body: {
+    name: { type: 'string', required: true, minLength: 1, maxLength: 50 },
+  },
+};
+
+module.exports = {
+  listTags,
+  renameTag,
+};
@@ -0,0 +1,34 @@
+// server/src/validators/users.js - Request schemas for the users routes
+
+const { password } = require('./auth');
+
+const getProfile = {
+  params: {
+    username: { type: 'string', required: true, minLength: 1 },
+  },
+  query: {
+    page: { type: 'integer', min: 1 },
+    limit: { type: 'integer', min: 1 },
+  },
+};
+
+const updateMe = {
+  body: {
+    username: { type: 'string', minLength: 3 },
+    bio: { type: 'string', maxLength: 500 },
+    avatarUrl: { type: 'string', maxLength: 2048, nullable: true },
+  },
+};
+
+const changePassword = {
+  body: {
+    currentPassword: password,
+    newPassword: { ...password, minLength: 6 },
+  },
+};
+
+module.exports = {
+  getProfile,
+  updateMe,
+  changePassword,
+};
@@ -13,6 +13,28 @@ describe('Basic API Tests', () => {
     });
   });
 
+  describe('GET /health/live', () => {
+    it('should return 200 while the process is running', async () => {
+      const res = await request(app).get('/health/live');
+
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe('ok');
+      expect(typeof res.body.uptime).toBe('number');
+    });
+  });
+
+  describe('GET /health/ready', () => {
+    it('should return 503 with per-dependency details when the database is down', async () => {
+      const res = await request(app).get('/health/ready');
+
+      expect(res.status).toBe(503);
+      expect(res.body.status).toBe('unavailable');
+      expect(res.body.checks.database).toEqual({ status: 'down', state: 'disconnected' });
+      expect(res.body.checks.scheduler).toHaveProperty('jobs');
+      expect(res.body.checks.viewQueue).toEqual({ status: 'up', pending: 0 });
+    });
+  });
+
   describe('GET /api', () => {
     it('should return 200 and API message', async () => {
       const res = await request(app).get('/api');
@@ -0,0 +1,307 @@
+// auth.test.js - Integration tests for auth API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const RefreshToken = require('../../src/models/RefreshToken');
+
+let mongoServer;
+
+const credentials = {
+  username: 'authuser',
+  email: 'auth@example.com',
+  password: 'password123',
+};
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await User.init();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset database before each test for isolation
+beforeEach(async () => {
+  await User.deleteMany({});
+  await RefreshToken.deleteMany({});
+});
+
+describe('POST /api/auth/register', () => {
+  it('should register a user and return a token', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send(credentials);
+
+    expect(res.status).toBe(201);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.user.username).toBe(credentials.username);
+    expect(res.body.user.email).toBe(credentials.email);
+  });
+
+  it('should not expose the password hash', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send(credentials);
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it('should return 400 if required fields are missing', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'nopassword', email: 'nopass@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 400 for an invalid email', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...credentials, email: 'not-an-email' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for non-string fields', async () => {
+    await User.create(credentials);
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...credentials, username: { $gt: '' }, email: 'other@example.com' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('username');
+  });
+
+  it('should return 409 for a duplicate username', async () => {
+    await User.create(credentials);
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...credentials, email: 'other@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('USERNAME_TAKEN');
+    expect(res.body.error.message).toMatch(/username/i);
+  });
+
+  it('should return 409 for a duplicate email', async () => {
+    await User.create(credentials);
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ ...credentials, username: 'otheruser', email: 'AUTH@example.com' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('EMAIL_TAKEN');
+    expect(res.body.error.message).toMatch(/email/i);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  beforeEach(async () => {
+    await User.create(credentials);
+  });
+
+  it('should log in with valid credentials', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.user.username).toBe(credentials.username);
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it('should return 401 for a wrong password', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password: 'wrongpassword' });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should return 401 for an unknown email', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: credentials.password });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 for a non-string password', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password: 123456 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('password');
+  });
+
+  it('should return 400 if credentials are missing', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('GET /api/auth/me', () => {
+  it('should return the current user', async () => {
+    const registered = await request(app)
+      .post('/api/auth/register')
+      .send(credentials);
+
+    const res = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${registered.body.token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.username).toBe(credentials.username);
+    expect(res.body).not.toHaveProperty('password');
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).get('/api/auth/me');
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  let session;
+
+  beforeEach(async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send(credentials);
+    session = res.body;
+  });
+
+  it('should return 400 without a refresh token', async () => {
+    const res = await request(app).post('/api/auth/refresh').send({});
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('refreshToken');
+  });
+
+  it('should issue a refresh token on login', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    expect(res.body).toHaveProperty('refreshToken');
+  });
+
+  it('should rotate the refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body.refreshToken).not.toBe(session.refreshToken);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.token}`);
+    expect(me.status).toBe(200);
+  });
+
+  it('should revoke the whole family when a rotated token is reused', async () => {
+    const rotated = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    const reuse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+
+    expect(reuse.status).toBe(401);
+
+    // The legitimately rotated token is now revoked too
+    const next = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: rotated.body.refreshToken });
+    expect(next.status).toBe(401);
+
+    // And so are access tokens issued before the reuse
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${rotated.body.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('should return 401 for an unknown refresh token', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'not-a-real-token' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 if the refresh token is missing', async () => {
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({});
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  let session;
+
+  beforeEach(async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send(credentials);
+    session = res.body;
+  });
+
+  it('should revoke the refresh token and current access token', async () => {
+    const res = await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: session.refreshToken });
+
+    expect(res.status).toBe(200);
+
+    const refresh = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: session.refreshToken });
+    expect(refresh.status).toBe(401);
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${session.token}`);
+    expect(me.status).toBe(401);
+  });
+
+  it('should accept tokens issued after logout', async () => {
+    await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken: session.refreshToken });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ email: credentials.email, password: credentials.password });
+
+    const me = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${login.body.token}`);
+    expect(me.status).toBe(200);
+  });
+});
@@ -0,0 +1,254 @@
+// categories.test.js - Integration tests for categories API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let userId;
+let technology;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Category.init();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset database before each test for isolation
+beforeEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+
+  const user = await User.create({
+    username: 'categoryuser',
+    email: 'category@example.com',
+    password: 'password123',
+  });
+  userId = user._id;
+  token = generateToken(user);
+
+  technology = await Category.create({ name: 'Technology' });
+});
+
+describe('POST /api/categories', () => {
+  it('should create a category with a generated slug', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Web Development', description: 'All things web' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.slug).toBe('web-development');
+    expect(res.body.postCount).toBe(0);
+  });
+
+  it('should accept a parent by slug', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'JavaScript', parent: 'technology' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.parent).toBe(technology._id.toString());
+  });
+
+  it('should return 400 without a name', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ description: 'Nameless' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('name');
+  });
+
+  it('should return 400 for an unknown parent', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Orphan', parent: 'does-not-exist' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should normalize an explicit slug', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Web Development', slug: 'Web Dev & Design!' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.slug).toBe('web-dev-design');
+    expect((await request(app).get('/api/categories/web-dev-design')).status).toBe(200);
+  });
+
+  it('should return 400 for a slug shaped like an id', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Hex', slug: 'ABCDEF0123456789abcdef01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('slug');
+  });
+
+  it('should return 400 when the name would produce a slug shaped like an id', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'abcdef0123456789abcdef01' });
+
+    expect(res.status).toBe(400);
+    expect(await Category.countDocuments({ name: 'abcdef0123456789abcdef01' })).toBe(0);
+  });
+
+  it('should return 409 for a duplicate slug', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Technology' });
+
+    expect(res.status).toBe(409);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .send({ name: 'General' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/categories', () => {
+  it('should list categories with published post counts', async () => {
+    const fields = { content: 'Content', author: userId, category: technology._id };
+    await Post.create([
+      { ...fields, title: 'Tech One', status: 'published' },
+      { ...fields, title: 'Tech Two', status: 'published' },
+      { ...fields, title: 'Tech Draft' },
+    ]);
+    await Category.create({ name: 'General' });
+
+    const res = await request(app).get('/api/categories');
+
+    expect(res.status).toBe(200);
+    const bySlug = Object.fromEntries(res.body.map((c) => [c.slug, c]));
+    expect(bySlug.technology.postCount).toBe(2);
+    expect(bySlug.general.postCount).toBe(0);
+  });
+
+  it('should get a single category by slug or id', async () => {
+    const bySlug = await request(app).get('/api/categories/technology');
+    const byId = await request(app).get(`/api/categories/${technology._id}`);
+
+    expect(bySlug.status).toBe(200);
+    expect(byId.status).toBe(200);
+    expect(bySlug.body._id).toBe(byId.body._id);
+  });
+
+  it('should return 404 for a non-existent category', async () => {
+    const res = await request(app).get('/api/categories/unknown');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('PUT /api/categories/:idOrSlug', () => {
+  it('should update name and regenerate slug', async () => {
+    const res = await request(app)
+      .put('/api/categories/technology')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Tech News' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.slug).toBe('tech-news');
+  });
+
+  it('should reject nesting a category inside its own descendant', async () => {
+    const child = await Category.create({ name: 'Gadgets', parent: technology._id });
+
+    const res = await request(app)
+      .put('/api/categories/technology')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ parent: child._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('DELETE /api/categories/:idOrSlug', () => {
+  it('should reparent children and uncategorize posts', async () => {
+    const child = await Category.create({ name: 'Gadgets', parent: technology._id });
+    const post = await Post.create({
+      title: 'Tech Post',
+      content: 'Content',
+      author: userId,
+      category: technology._id,
+    });
+
+    const res = await request(app)
+      .delete('/api/categories/technology')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await Category.findById(technology._id)).toBeNull();
+    expect((await Category.findById(child._id)).parent).toBeNull();
+    expect((await Post.findById(post._id)).category).toBeUndefined();
+  });
+});
+
+describe('Posts by category slug', () => {
+  it('should filter posts by category slug', async () => {
+    await Post.create([
+      {
+        title: 'Tech Post',
+        content: 'Content',
+        author: userId,
+        category: technology._id,
+        status: 'published',
+      },
+      { title: 'Other Post', content: 'Content', author: userId, status: 'published' },
+    ]);
+
+    const res = await request(app).get('/api/posts?category=technology');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.length).toBe(1);
+    expect(res.body.data[0].title).toBe('Tech Post');
+  });
+
+  it('should create a post with a category slug', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Sluggy', content: 'Content', category: 'technology' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.category).toBe(technology._id.toString());
+  });
+
+  it('should return 400 for an unknown category slug', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Lost', content: 'Content', category: 'nowhere' });
+
+    expect(res.status).toBe(400);
+  });
+});
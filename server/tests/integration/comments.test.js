@@ -0,0 +1,276 @@
+// comments.test.js - Integration tests for threaded comments
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Comment = require('../../src/models/Comment');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let reader;
+let authorToken;
+let readerToken;
+let postId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset database before each test for isolation
+beforeEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+
+  author = await User.create({
+    username: 'postauthor',
+    email: 'postauthor@example.com',
+    password: 'password123',
+  });
+  reader = await User.create({
+    username: 'commenter',
+    email: 'commenter@example.com',
+    password: 'password123',
+    role: 'reader',
+  });
+  authorToken = generateToken(author);
+  readerToken = generateToken(reader);
+
+  const post = await Post.create({
+    title: 'Discussable Post',
+    content: 'Say something',
+    author: author._id,
+    status: 'published',
+  });
+  postId = post._id;
+});
+
+const comment = (token, body) =>
+  request(app)
+    .post(`/api/posts/${postId}/comments`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+describe('POST /api/posts/:id/comments', () => {
+  it('should create a comment and bump the post comment count', async () => {
+    const res = await comment(readerToken, { content: 'Nice post!' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.content).toBe('Nice post!');
+    expect(res.body.author).toBe(reader._id.toString());
+
+    const post = await request(app).get(`/api/posts/${postId}`);
+    expect(post.body.commentsCount).toBe(1);
+  });
+
+  it('should create a reply to a comment', async () => {
+    const parent = await comment(readerToken, { content: 'Parent' });
+
+    const res = await comment(authorToken, { content: 'Reply', parent: parent.body._id });
+
+    expect(res.status).toBe(201);
+    expect(res.body.parent).toBe(parent.body._id);
+    expect(res.body.root).toBe(parent.body._id);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/comments`)
+      .send({ content: 'Anonymous' });
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 400 for empty content', async () => {
+    const res = await comment(readerToken, { content: '   ' });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 400 for a parent from another post', async () => {
+    const otherPost = await Post.create({
+      title: 'Other',
+      content: 'Other',
+      author: author._id,
+      status: 'published',
+    });
+    const foreign = await Comment.create({ post: otherPost._id, author: reader._id, content: 'Hi' });
+
+    const res = await comment(readerToken, { content: 'Reply', parent: foreign._id.toString() });
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 404 for a draft post', async () => {
+    await Post.findByIdAndUpdate(postId, { status: 'draft' });
+
+    const res = await comment(readerToken, { content: 'Too early' });
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/posts/:id/comments', () => {
+  it('should return comments nested as threads', async () => {
+    const top = await comment(readerToken, { content: 'Top' });
+    const reply = await comment(authorToken, { content: 'Reply', parent: top.body._id });
+    await comment(readerToken, { content: 'Nested', parent: reply.body._id });
+    await comment(readerToken, { content: 'Second top' });
+
+    const res = await request(app).get(`/api/posts/${postId}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.data[0].content).toBe('Top');
+    expect(res.body.data[0].author.username).toBe('commenter');
+    expect(res.body.data[0].replies[0].content).toBe('Reply');
+    expect(res.body.data[0].replies[0].replies[0].content).toBe('Nested');
+    expect(res.body.data[1].replies).toEqual([]);
+  });
+
+  it('should paginate top-level comments', async () => {
+    for (let i = 0; i < 3; i++) {
+      await comment(readerToken, { content: `Comment ${i}` });
+    }
+
+    const res = await request(app).get(`/api/posts/${postId}/comments?limit=2&page=2`);
+
+    expect(res.body.pages).toBe(2);
+    expect(res.body.data.length).toBe(1);
+    expect(res.body.data[0].content).toBe('Comment 2');
+  });
+});
+
+describe('PUT /api/posts/:id/comments/:commentId', () => {
+  it('should let the author edit within the window', async () => {
+    const created = await comment(readerToken, { content: 'Typo' });
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${created.body._id}`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Fixed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.content).toBe('Fixed');
+    expect(res.body.editedAt).toBeTruthy();
+  });
+
+  it('should return 403 after the edit window closes', async () => {
+    const created = await comment(readerToken, { content: 'Old' });
+    await Comment.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(created.body._id) },
+      { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } }
+    );
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${created.body._id}`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Too late' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 403 for another user', async () => {
+    const created = await comment(readerToken, { content: 'Mine' });
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${created.body._id}`)
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ content: 'Not yours' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 once the post is back in draft', async () => {
+    const created = await comment(readerToken, { content: 'Early' });
+    await Post.findByIdAndUpdate(postId, { status: 'draft' });
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}/comments/${created.body._id}`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ content: 'Still here?' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('POST_NOT_FOUND');
+  });
+});
+
+describe('DELETE /api/posts/:id/comments/:commentId', () => {
+  it('should remove a comment without replies', async () => {
+    const created = await comment(readerToken, { content: 'Bye' });
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${created.body._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.findById(created.body._id)).toBeNull();
+    expect((await Post.findById(postId)).commentsCount).toBe(0);
+  });
+
+  it('should leave a placeholder when the comment has replies', async () => {
+    const parent = await comment(readerToken, { content: 'Parent' });
+    await comment(authorToken, { content: 'Reply', parent: parent.body._id });
+
+    await request(app)
+      .delete(`/api/posts/${postId}/comments/${parent.body._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    const res = await request(app).get(`/api/posts/${postId}/comments`);
+
+    expect(res.body.data[0].content).toBe('[deleted]');
+    expect(res.body.data[0].author).toBeNull();
+    expect(res.body.data[0].replies[0].content).toBe('Reply');
+    expect((await Post.findById(postId)).commentsCount).toBe(1);
+  });
+
+  it('should clean up a placeholder once its last reply is deleted', async () => {
+    const parent = await comment(readerToken, { content: 'Parent' });
+    const reply = await comment(authorToken, { content: 'Reply', parent: parent.body._id });
+
+    await request(app)
+      .delete(`/api/posts/${postId}/comments/${parent.body._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+    await request(app)
+      .delete(`/api/posts/${postId}/comments/${reply.body._id}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(await Comment.countDocuments({ post: postId })).toBe(0);
+  });
+
+  it('should return 403 for a non-moderator who is not the author', async () => {
+    const created = await comment(authorToken, { content: 'Mine' });
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${created.body._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for a comment on a trashed post', async () => {
+    const created = await comment(readerToken, { content: 'Bye' });
+    await Post.updateOne({ _id: postId }, { deletedAt: new Date() });
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}/comments/${created.body._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('POST_NOT_FOUND');
+    expect(await Comment.findById(created.body._id)).not.toBeNull();
+  });
+});
@@ -0,0 +1,160 @@
+// engagement.test.js - Integration tests for likes and bookmarks
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let readerToken;
+let postId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset database before each test for isolation
+beforeEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+
+  author = await User.create({
+    username: 'likedauthor',
+    email: 'likedauthor@example.com',
+    password: 'password123',
+  });
+  const reader = await User.create({
+    username: 'liker',
+    email: 'liker@example.com',
+    password: 'password123',
+    role: 'reader',
+  });
+  readerToken = generateToken(reader);
+
+  const post = await Post.create({
+    title: 'Likeable Post',
+    content: 'Content',
+    author: author._id,
+    status: 'published',
+  });
+  postId = post._id;
+});
+
+const as = (method, path) =>
+  request(app)[method](path).set('Authorization', `Bearer ${readerToken}`);
+
+describe('Likes', () => {
+  it('should like a post once no matter how often it is requested', async () => {
+    const first = await as('post', `/api/posts/${postId}/like`);
+    const second = await as('post', `/api/posts/${postId}/like`);
+
+    expect(first.status).toBe(200);
+    expect(first.body).toEqual({ liked: true, likesCount: 1 });
+    expect(second.body).toEqual({ liked: true, likesCount: 1 });
+  });
+
+  it('should unlike a post idempotently', async () => {
+    await as('post', `/api/posts/${postId}/like`);
+
+    const first = await as('delete', `/api/posts/${postId}/like`);
+    const second = await as('delete', `/api/posts/${postId}/like`);
+
+    expect(first.body).toEqual({ liked: false, likesCount: 0 });
+    expect(second.body).toEqual({ liked: false, likesCount: 0 });
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).post(`/api/posts/${postId}/like`);
+
+    expect(res.status).toBe(401);
+  });
+
+  it('should return 404 for a draft of another user', async () => {
+    await Post.findByIdAndUpdate(postId, { status: 'draft' });
+
+    const res = await as('post', `/api/posts/${postId}/like`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Viewer flags on post responses', () => {
+  it('should include likesCount and the caller flags', async () => {
+    await as('post', `/api/posts/${postId}/like`);
+    await as('post', `/api/posts/${postId}/bookmark`);
+
+    const single = await as('get', `/api/posts/${postId}`);
+    const list = await as('get', '/api/posts');
+
+    expect(single.body.likesCount).toBe(1);
+    expect(single.body.likedByMe).toBe(true);
+    expect(single.body.bookmarkedByMe).toBe(true);
+    expect(list.body.data[0].likedByMe).toBe(true);
+  });
+
+  it('should leave the flags out for anonymous callers', async () => {
+    const res = await request(app).get(`/api/posts/${postId}`);
+
+    expect(res.body.likesCount).toBe(0);
+    expect(res.body).not.toHaveProperty('likedByMe');
+    expect(res.body).not.toHaveProperty('bookmarkedByMe');
+  });
+});
+
+describe('GET /api/users/me/bookmarks', () => {
+  it('should list bookmarked posts, most recently saved first', async () => {
+    const second = await Post.create({
+      title: 'Second Post',
+      content: 'Content',
+      author: author._id,
+      status: 'published',
+    });
+    await as('post', `/api/posts/${postId}/bookmark`);
+    await as('post', `/api/posts/${second._id}/bookmark`);
+
+    const res = await as('get', '/api/users/me/bookmarks');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.data[0].title).toBe('Second Post');
+    expect(res.body.data[0].bookmarkedByMe).toBe(true);
+    expect(res.body.data[0]).toHaveProperty('bookmarkedAt');
+  });
+
+  it('should drop unbookmarked and trashed posts', async () => {
+    const second = await Post.create({
+      title: 'Second Post',
+      content: 'Content',
+      author: author._id,
+      status: 'published',
+    });
+    await as('post', `/api/posts/${postId}/bookmark`);
+    await as('post', `/api/posts/${second._id}/bookmark`);
+    await as('delete', `/api/posts/${postId}/bookmark`);
+    await Post.findByIdAndUpdate(second._id, { deletedAt: new Date() });
+
+    const res = await as('get', '/api/users/me/bookmarks');
+
+    expect(res.body.total).toBe(0);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).get('/api/users/me/bookmarks');
+
+    expect(res.status).toBe(401);
+  });
+});
@@ -24,4 +24,49 @@ describe('Error Handling', () => {
     
     expect(res.status).toBe(404);
   });
-});
\ No newline at end of file
+
+  it('should use the error envelope with a stable code', async () => {
+    const res = await request(app).get('/api/nonexistent');
+
+    expect(res.body.error).toEqual({
+      status: 404,
+      code: 'ROUTE_NOT_FOUND',
+      message: 'Route GET /api/nonexistent not found',
+      requestId: res.headers['x-request-id'],
+    });
+  });
+
+  it('should echo a client supplied request id', async () => {
+    const res = await request(app)
+      .get('/api/posts/invalid-id')
+      .set('X-Request-Id', 'client-id-123');
+
+    expect(res.headers['x-request-id']).toBe('client-id-123');
+    expect(res.body.error.requestId).toBe('client-id-123');
+  });
+
+  it('should expose the request id header to browser clients', async () => {
+    const res = await request(app).get('/api').set('Origin', 'http://localhost:5173');
+
+    expect(res.headers['access-control-expose-headers']).toMatch(/X-Request-Id/);
+  });
+
+  it('should include field errors for validation failures', async () => {
+    const res = await request(app).get('/api/posts/invalid-id');
+
+    expect(res.body.error.code).toBe('VALIDATION_FAILED');
+    expect(res.body.error.errors).toEqual([
+      { field: 'id', location: 'params', message: 'id must be a valid ID' },
+    ]);
+  });
+
+  it('should return 400 for malformed JSON bodies', async () => {
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"email": ');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_JSON');
+  });
+});
@@ -0,0 +1,44 @@
+// metrics.test.js - Integration tests for the /metrics endpoint
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('GET /metrics', () => {
+  it('should expose metrics in Prometheus text format', async () => {
+    const res = await request(app).get('/metrics');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/plain/);
+    expect(res.text).toContain('# TYPE http_request_duration_seconds histogram');
+    expect(res.text).toContain('# TYPE http_requests_in_flight gauge');
+    expect(res.text).toMatch(/process_resident_memory_bytes \d+/);
+    expect(res.text).toMatch(/nodejs_eventloop_lag_seconds [\d.e-]+/);
+  });
+
+  it('should label requests by route pattern and status class', async () => {
+    await request(app).get('/api/posts/not-an-id');
+    await request(app).get('/api/posts/still-not-an-id');
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.text).toContain(
+      'http_requests_total{method="GET",route="/api/posts/:id",status_class="4xx"} 2'
+    );
+    expect(res.text).not.toContain('not-an-id');
+  });
+
+  it('should group unmatched routes under one label', async () => {
+    await request(app).get('/random/path/123');
+
+    const res = await request(app).get('/metrics');
+
+    expect(res.text).toContain('route="unmatched"');
+    expect(res.text).not.toContain('/random/path');
+  });
+
+  it('should add an X-Response-Time header', async () => {
+    const res = await request(app).get('/health');
+
+    expect(res.headers['x-response-time']).toMatch(/^\d+ms$/);
+  });
+});
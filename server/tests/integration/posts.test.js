@@ -5,8 +5,10 @@ const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const Post = require('../../src/models/Post');
+const Category = require('../../src/models/Category');
 const User = require('../../src/models/User');
 const { generateToken } = require('../../src/utils/auth');
+const { MAX_CONTENT_LENGTH } = require('../../src/validators/posts');
 
 let mongoServer;
 let token;
@@ -57,6 +59,7 @@ beforeEach(async () => {
     title: 'Test Post',
     content: 'This is a test post content',
     author: userId,
+    status: 'published',
     category: new mongoose.Types.ObjectId(),
     slug: 'test-post',
   });
@@ -65,10 +68,11 @@ beforeEach(async () => {
 
 describe('POST /api/posts', () => {
   it('should create a new post when authenticated', async () => {
+    const category = await Category.create({ name: 'Testing' });
     const newPost = {
       title: 'New Test Post',
       content: 'This is a new test post content',
-      category: new mongoose.Types.ObjectId().toString(),
+      category: category._id.toString(),
     };
 
     const res = await request(app)
@@ -83,6 +87,20 @@ describe('POST /api/posts', () => {
     expect(res.body.author).toBe(userId.toString());
   });
 
+  it('should return 400 for a category that does not exist', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Dangling Category',
+        content: 'Content',
+        category: new mongoose.Types.ObjectId().toString(),
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('CATEGORY_NOT_FOUND');
+  });
+
   it('should return 401 if not authenticated', async () => {
     const newPost = {
       title: 'Unauthorized Post',
@@ -117,7 +135,6 @@ describe('POST /api/posts', () => {
     const newPost = {
       title: 'My Awesome Blog Post',
       content: 'Content here',
-      category: new mongoose.Types.ObjectId().toString(),
     };
 
     const res = await request(app)
@@ -135,18 +152,19 @@ describe('GET /api/posts', () => {
     const res = await request(app).get('/api/posts');
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBeTruthy();
-    expect(res.body.length).toBeGreaterThan(0);
+    expect(Array.isArray(res.body.data)).toBeTruthy();
+    expect(res.body.data.length).toBeGreaterThan(0);
   });
 
   it('should filter posts by category', async () => {
-    const categoryId = new mongoose.Types.ObjectId();
+    const { _id: categoryId } = await Category.create({ name: 'Filtered' });
     
     // Create posts with different categories
     await Post.create({
       title: 'Filtered Post',
       content: 'This post should be filtered by category',
       author: userId,
+      status: 'published',
       category: categoryId,
       slug: 'filtered-post',
     });
@@ -155,6 +173,7 @@ describe('GET /api/posts', () => {
       title: 'Another Post',
       content: 'Different category',
       author: userId,
+      status: 'published',
       category: new mongoose.Types.ObjectId(),
       slug: 'another-post',
     });
@@ -163,9 +182,9 @@ describe('GET /api/posts', () => {
       .get(`/api/posts?category=${categoryId}`);
 
     expect(res.status).toBe(200);
-    expect(Array.isArray(res.body)).toBeTruthy();
-    expect(res.body.length).toBe(1);
-    expect(res.body[0].category.toString()).toBe(categoryId.toString());
+    expect(Array.isArray(res.body.data)).toBeTruthy();
+    expect(res.body.data.length).toBe(1);
+    expect(res.body.data[0].category.toString()).toBe(categoryId.toString());
   });
 
   it('should paginate results', async () => {
@@ -176,6 +195,7 @@ describe('GET /api/posts', () => {
         title: `Pagination Post ${i}`,
         content: `Content for pagination test ${i}`,
         author: userId,
+        status: 'published',
         category: new mongoose.Types.ObjectId(),
         slug: `pagination-post-${i}`,
       });
@@ -190,9 +210,9 @@ describe('GET /api/posts', () => {
 
     expect(page1.status).toBe(200);
     expect(page2.status).toBe(200);
-    expect(page1.body.length).toBe(10);
-    expect(page2.body.length).toBeGreaterThan(0);
-    expect(page1.body[0]._id).not.toBe(page2.body[0]._id);
+    expect(page1.body.data.length).toBe(10);
+    expect(page2.body.data.length).toBeGreaterThan(0);
+    expect(page1.body.data[0]._id).not.toBe(page2.body.data[0]._id);
   });
 
   it('should sort posts by creation date descending', async () => {
@@ -201,6 +221,7 @@ describe('GET /api/posts', () => {
       title: 'First Post',
       content: 'Created first',
       author: userId,
+      status: 'published',
       category: new mongoose.Types.ObjectId(),
       slug: 'first-post',
     });
@@ -211,6 +232,7 @@ describe('GET /api/posts', () => {
       title: 'Second Post',
       content: 'Created second',
       author: userId,
+      status: 'published',
       category: new mongoose.Types.ObjectId(),
       slug: 'second-post',
     });
@@ -218,7 +240,77 @@ describe('GET /api/posts', () => {
     const res = await request(app).get('/api/posts?sort=-createdAt');
 
     expect(res.status).toBe(200);
-    expect(res.body[0].title).toBe('Second Post');
+    expect(res.body.data[0].title).toBe('Second Post');
+  });
+});
+
+describe('GET /api/posts pagination envelope', () => {
+  beforeEach(async () => {
+    const posts = [];
+    for (let i = 0; i < 24; i++) {
+      posts.push({
+        title: `Envelope Post ${i}`,
+        content: `Content ${i}`,
+        author: userId,
+        status: 'published',
+        slug: `envelope-post-${i}`,
+        createdAt: new Date(Date.now() - i * 1000),
+      });
+    }
+    await Post.insertMany(posts);
+  });
+
+  it('should report totals and page counts', async () => {
+    const res = await request(app).get('/api/posts?page=2&limit=10');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(25);
+    expect(res.body.page).toBe(2);
+    expect(res.body.pages).toBe(3);
+    expect(res.body.hasNext).toBe(true);
+  });
+
+  it('should set RFC 5988 Link headers', async () => {
+    const res = await request(app).get('/api/posts?page=2&limit=10');
+
+    expect(res.headers.link).toContain('page=1&limit=10>; rel="first"');
+    expect(res.headers.link).toContain('page=1&limit=10>; rel="prev"');
+    expect(res.headers.link).toContain('page=3&limit=10>; rel="next"');
+    expect(res.headers.link).toContain('page=3&limit=10>; rel="last"');
+  });
+
+  it('should clamp the limit to the configured maximum', async () => {
+    const res = await request(app).get('/api/posts?limit=1000');
+
+    expect(res.body.data.length).toBeLessThanOrEqual(50);
+    expect(res.body.pages).toBe(1);
+  });
+
+  it('should walk every post exactly once in cursor mode', async () => {
+    const seen = [];
+    let res = await request(app).get('/api/posts?cursor=&limit=10');
+
+    seen.push(...res.body.data.map((p) => p._id));
+    while (res.body.hasNext) {
+      // Posts inserted mid-scroll must not shift later pages
+      await Post.create({
+        title: `Late ${seen.length}`,
+        content: 'New',
+        author: userId,
+        status: 'published',
+      });
+      res = await request(app).get(`/api/posts?cursor=${res.body.nextCursor}&limit=10`);
+      seen.push(...res.body.data.map((p) => p._id));
+    }
+
+    expect(seen.length).toBe(25);
+    expect(new Set(seen).size).toBe(25);
+  });
+
+  it('should return 400 for a malformed cursor', async () => {
+    const res = await request(app).get('/api/posts?cursor=not-a-cursor');
+
+    expect(res.status).toBe(400);
   });
 });
 
@@ -278,6 +370,16 @@ describe('PUT /api/posts/:id', () => {
     expect(updatedPost.title).toBe(updates.title);
   });
 
+  it('should return 400 when moving the post to a category that does not exist', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ category: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('CATEGORY_NOT_FOUND');
+  });
+
   it('should return 401 if not authenticated', async () => {
     const updates = {
       title: 'Unauthorized Update',
@@ -411,3 +513,620 @@ describe('GET /api/posts/slug/:slug', () => {
 
 
 
+
+describe('Role-based authorization', () => {
+  const createUserWithRole = async (role) => {
+    const user = await User.create({
+      username: `${role}user`,
+      email: `${role}@example.com`,
+      password: 'password123',
+      role,
+    });
+    return generateToken(user);
+  };
+
+  it('should allow an editor to update any post', async () => {
+    const editorToken = await createUserWithRole('editor');
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${editorToken}`)
+      .send({ title: 'Edited by editor' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Edited by editor');
+    expect(res.body.author).toBe(userId.toString());
+  });
+
+  it('should allow an admin to delete any post', async () => {
+    const adminToken = await createUserWithRole('admin');
+
+    const res = await request(app)
+      .delete(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should not allow a reader to create posts', async () => {
+    const readerToken = await createUserWithRole('reader');
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ title: 'Reader Post', content: 'Readers cannot write' });
+
+    expect(res.status).toBe(403);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should not allow a reader to update posts they do not own', async () => {
+    const readerToken = await createUserWithRole('reader');
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${readerToken}`)
+      .send({ title: 'Reader Edit' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should apply role changes without a new token', async () => {
+    await User.findByIdAndUpdate(userId, { role: 'reader' });
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Demoted Post', content: 'Should be rejected' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Unique slugs and slug history', () => {
+  const createViaApi = (title) =>
+    request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title, content: 'Same title, different post' });
+
+  it('should suffix slugs for duplicate titles', async () => {
+    const first = await createViaApi('Duplicate Title');
+    const second = await createViaApi('Duplicate Title');
+    const third = await createViaApi('Duplicate Title');
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(third.status).toBe(201);
+    expect(first.body.slug).toBe('duplicate-title');
+    expect(second.body.slug).toBe('duplicate-title-2');
+    expect(third.body.slug).toBe('duplicate-title-3');
+  });
+
+  it('should pick the next slug when a concurrent create takes the same one', async () => {
+    await createViaApi('Racing Title');
+    // Simulate the race: the lookup ran before the first post was written
+    jest.spyOn(Post, 'uniqueSlug').mockResolvedValueOnce('racing-title');
+
+    const second = await createViaApi('Racing Title');
+
+    expect(second.status).toBe(201);
+    expect(second.body.slug).toBe('racing-title-2');
+    jest.restoreAllMocks();
+  });
+
+  it('should pick the next slug when a concurrent rename takes the same one', async () => {
+    await createViaApi('Renamed Title');
+    jest.spyOn(Post, 'uniqueSlug').mockResolvedValueOnce('renamed-title');
+
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Renamed Title' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.slug).toBe('renamed-title-2');
+    expect(res.body.slugHistory).toEqual(['test-post']);
+    jest.restoreAllMocks();
+  });
+
+  it('should not collide with the existing test post', async () => {
+    const res = await createViaApi('Test Post');
+
+    expect(res.status).toBe(201);
+    expect(res.body.slug).toBe('test-post-2');
+  });
+
+  it('should regenerate the slug when the title changes', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Renamed Post' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.slug).toBe('renamed-post');
+    expect(res.body.slugHistory).toContain('test-post');
+  });
+
+  it('should redirect old slugs to the current one', async () => {
+    await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Renamed Post' });
+
+    const res = await request(app).get('/api/posts/slug/test-post');
+
+    expect(res.status).toBe(301);
+    expect(res.headers.location).toBe('/api/posts/slug/renamed-post');
+  });
+
+  it('should keep old slugs reserved for redirects', async () => {
+    await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Renamed Post' });
+
+    const res = await createViaApi('Test Post');
+
+    expect(res.body.slug).toBe('test-post-2');
+  });
+});
+
+describe('Draft and publish workflow', () => {
+  let draftId;
+
+  beforeEach(async () => {
+    const draft = await Post.create({
+      title: 'Draft Post',
+      content: 'Not ready yet',
+      author: userId,
+    });
+    draftId = draft._id;
+  });
+
+  it('should hide drafts from public listings', async () => {
+    const res = await request(app).get('/api/posts');
+
+    expect(res.body.data.map((p) => p.title)).not.toContain('Draft Post');
+  });
+
+  it('should show authors their own drafts', async () => {
+    const res = await request(app)
+      .get('/api/posts')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.body.data.map((p) => p.title)).toContain('Draft Post');
+  });
+
+  it('should return 404 for drafts by id or slug to other users', async () => {
+    const byId = await request(app).get(`/api/posts/${draftId}`);
+    const bySlug = await request(app).get('/api/posts/slug/draft-post');
+
+    expect(byId.status).toBe(404);
+    expect(bySlug.status).toBe(404);
+  });
+
+  it('should publish a draft and set publishedAt', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${draftId}/publish`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('published');
+    expect(res.body.publishedAt).toBeTruthy();
+
+    const publicRes = await request(app).get('/api/posts/slug/draft-post');
+    expect(publicRes.status).toBe(200);
+  });
+
+  it('should unpublish a post and clear publishedAt', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/unpublish`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('draft');
+    expect(res.body.publishedAt).toBeNull();
+  });
+
+  it('should schedule publishing for a future publishAt', async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const res = await request(app)
+      .post(`/api/posts/${draftId}/publish`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ publishAt });
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('draft');
+    expect(res.body.publishAt).toBe(publishAt);
+  });
+
+  it('should publish due posts through Post.publishDue', async () => {
+    const publishAt = new Date(Date.now() - 1000);
+    await Post.findByIdAndUpdate(draftId, { publishAt });
+
+    const published = await Post.publishDue();
+
+    expect(published).toBe(1);
+    const post = await Post.findById(draftId);
+    expect(post.status).toBe('published');
+    expect(post.publishedAt.getTime()).toBe(publishAt.getTime());
+    expect(post.publishAt).toBeNull();
+  });
+
+  it('should return 403 when another user publishes', async () => {
+    const other = await User.create({
+      username: 'publisher',
+      email: 'publisher@example.com',
+      password: 'password123',
+    });
+
+    const res = await request(app)
+      .post(`/api/posts/${draftId}/publish`)
+      .set('Authorization', `Bearer ${generateToken(other)}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('View counting', () => {
+  const { viewCounter } = require('../../src/utils/viewCounter');
+
+  it('should count repeat reads from the same viewer once', async () => {
+    await request(app).get(`/api/posts/${postId}`);
+    await request(app).get(`/api/posts/${postId}`);
+    await request(app).get('/api/posts/slug/test-post');
+    await viewCounter.flush();
+
+    const post = await Post.findById(postId);
+    expect(post.views).toBe(1);
+  });
+
+  it('should return total and unique views to the author', async () => {
+    const reader = await User.create({
+      username: 'viewer',
+      email: 'viewer@example.com',
+      password: 'password123',
+    });
+
+    await request(app).get(`/api/posts/${postId}`);
+    await request(app)
+      .get(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${generateToken(reader)}`);
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/stats`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.views).toBe(2);
+    expect(res.body.uniqueViews).toBe(2);
+  });
+
+  it('should return 403 for stats requested by another user', async () => {
+    const other = await User.create({
+      username: 'snooper',
+      email: 'snooper@example.com',
+      password: 'password123',
+    });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/stats`)
+      .set('Authorization', `Bearer ${generateToken(other)}`);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Trash and restore', () => {
+  const trash = () =>
+    request(app).delete(`/api/posts/${postId}`).set('Authorization', `Bearer ${token}`);
+
+  it('should keep a deleted post in the trash and hide it elsewhere', async () => {
+    await trash();
+
+    const list = await request(app).get('/api/posts');
+    const single = await request(app).get(`/api/posts/${postId}`);
+    const trashed = await Post.findById(postId).setOptions({ withDeleted: true });
+
+    expect(list.body.total).toBe(0);
+    expect(single.status).toBe(404);
+    expect(trashed.deletedAt).toBeTruthy();
+  });
+
+  it("should list the current user's trash", async () => {
+    const other = await User.create({
+      username: 'trashother',
+      email: 'trashother@example.com',
+      password: 'password123',
+    });
+    const otherPost = await Post.create({
+      title: 'Other Trash',
+      content: 'Content',
+      author: other._id,
+      deletedAt: new Date(),
+    });
+    await trash();
+
+    const res = await request(app)
+      .get('/api/posts/trash')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.data[0]._id).toBe(postId.toString());
+    expect(res.body.data[0]._id).not.toBe(otherPost._id.toString());
+  });
+
+  it('should restore a trashed post', async () => {
+    await trash();
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.deletedAt).toBeNull();
+
+    const single = await request(app).get(`/api/posts/${postId}`);
+    expect(single.status).toBe(200);
+  });
+
+  it('should return 400 when restoring a post that is not in the trash', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 403 when another user restores the post', async () => {
+    const other = await User.create({
+      username: 'restorer',
+      email: 'restorer@example.com',
+      password: 'password123',
+    });
+    await trash();
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/restore`)
+      .set('Authorization', `Bearer ${generateToken(other)}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should keep the slug of a trashed post reserved', async () => {
+    await trash();
+
+    const post = await Post.create({ title: 'Test Post', content: 'Again', author: userId });
+
+    expect(post.slug).toBe('test-post-2');
+  });
+
+  it('should purge posts trashed before the retention cutoff', async () => {
+    const recent = await Post.create({
+      title: 'Recently Trashed',
+      content: 'Content',
+      author: userId,
+      deletedAt: new Date(),
+    });
+    await Post.updateOne({ _id: postId }, { deletedAt: new Date('2020-01-01') });
+
+    const purged = await Post.purgeDeleted(new Date('2021-01-01'));
+
+    expect(purged).toBe(1);
+    expect(await Post.findById(postId).setOptions({ withDeleted: true })).toBeNull();
+    expect(await Post.findById(recent._id).setOptions({ withDeleted: true })).not.toBeNull();
+  });
+});
+
+describe('Request validation', () => {
+  it('should return every field error in a structured response', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: '', publishAt: 'not a date' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_FAILED');
+    expect(res.body.error.errors.map((e) => e.field)).toEqual(['title', 'content', 'publishAt']);
+  });
+
+  it('should reject content over the length limit', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Too Long', content: 'a'.repeat(MAX_CONTENT_LENGTH + 1) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('content');
+  });
+
+  it('should ignore server-managed fields on update', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Whitelisted',
+        views: 9999,
+        slug: 'hijacked',
+        status: 'draft',
+        createdAt: '2000-01-01',
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('Whitelisted');
+    expect(res.body.views).toBe(0);
+    expect(res.body.slug).toBe('whitelisted');
+    expect(res.body.status).toBe('published');
+    expect(new Date(res.body.createdAt).getFullYear()).not.toBe(2000);
+  });
+
+  it('should reject invalid query parameters', async () => {
+    const res = await request(app).get('/api/posts?page=abc&tagMatch=some');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors.map((e) => e.field)).toEqual(['page', 'tagMatch']);
+  });
+});
+
+describe('Markdown content', () => {
+  it('should store the source and return sanitized HTML on create', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Markdown Post',
+        content: '# Heading\n\nSome **bold** text <script>alert(1)</script>',
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.content).toBe('# Heading\n\nSome **bold** text <script>alert(1)</script>');
+    expect(res.body.contentHtml).toContain('<h1>Heading</h1>');
+    expect(res.body.contentHtml).toContain('<strong>bold</strong>');
+    expect(res.body.contentHtml).not.toContain('<script>');
+  });
+
+  it('should only include contentHtml when requested', async () => {
+    const plain = await request(app).get(`/api/posts/${postId}`);
+    const withHtml = await request(app).get(`/api/posts/${postId}?html=true`);
+    const list = await request(app).get('/api/posts?html=true');
+
+    expect(plain.body).not.toHaveProperty('contentHtml');
+    expect(withHtml.body.contentHtml).toMatch(/^<p>/);
+    expect(list.body.data[0]).toHaveProperty('contentHtml');
+  });
+
+  it('should re-render HTML when the content changes', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Updated *content*' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.contentHtml).toBe('<p>Updated <em>content</em></p>\n');
+  });
+});
+
+describe('Reading time, word count and excerpt', () => {
+  it('should compute reading time, word count and excerpt on create', async () => {
+    const content = `# Intro\n\n${new Array(450).fill('word').join(' ')}`;
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Long Post', content });
+
+    expect(res.status).toBe(201);
+    expect(res.body.wordCount).toBe(451);
+    expect(res.body.readingTime).toBe(3);
+    expect(res.body.excerpt).toMatch(/^Intro word word/);
+    expect(res.body.excerpt).toMatch(/…$/);
+    expect(res.body.excerpt.length).toBeLessThanOrEqual(200);
+  });
+
+  it('should strip Markdown from the excerpt', async () => {
+    const post = await Post.findById(postId);
+    post.content = 'Some **bold** and [linked](https://example.com) text';
+    await post.save();
+
+    expect(post.excerpt).toBe('Some bold and linked text');
+    expect(post.wordCount).toBe(5);
+  });
+
+  it('should prefer the custom excerpt and fall back when it is cleared', async () => {
+    const created = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Custom', content: 'Generated from content', customExcerpt: 'Hand written' });
+
+    expect(created.body.excerpt).toBe('Hand written');
+
+    const cleared = await request(app)
+      .put(`/api/posts/${created.body._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ customExcerpt: null });
+
+    expect(cleared.status).toBe(200);
+    expect(cleared.body.excerpt).toBe('Generated from content');
+  });
+
+  it('should recompute the fields on update', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${postId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Just three words' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.wordCount).toBe(3);
+    expect(res.body.excerpt).toBe('Just three words');
+  });
+
+  it('should recompute the fields on findByIdAndUpdate', async () => {
+    const updated = await Post.findByIdAndUpdate(
+      postId,
+      { content: 'Updated *outside* the API' },
+      { new: true }
+    ).select('+contentHtml');
+
+    expect(updated.wordCount).toBe(4);
+    expect(updated.excerpt).toBe('Updated outside the API');
+    expect(updated.contentHtml).toBe('<p>Updated <em>outside</em> the API</p>\n');
+
+    await Post.findByIdAndUpdate(postId, { customExcerpt: 'Custom' });
+    const reloaded = await Post.findById(postId);
+
+    expect(reloaded.excerpt).toBe('Custom');
+    expect(reloaded.wordCount).toBe(4);
+  });
+
+  it('should leave the fields alone for unrelated updates', async () => {
+    await Post.findByIdAndUpdate(postId, { $inc: { views: 1 } });
+    const post = await Post.findById(postId);
+
+    expect(post.excerpt).toBe('This is a test post content');
+    expect(post.wordCount).toBe(6);
+  });
+});
+
+describe('Field projection', () => {
+  it('should return only the requested fields', async () => {
+    const res = await request(app).get('/api/posts?fields=title,excerpt,readingTime');
+
+    expect(res.status).toBe(200);
+    expect(Object.keys(res.body.data[0]).sort()).toEqual(
+      ['_id', 'excerpt', 'readingTime', 'title'].sort()
+    );
+  });
+
+  it('should populate the author when it is requested', async () => {
+    const res = await request(app).get('/api/posts?fields=title,author');
+
+    expect(res.body.data[0].author.username).toBe('testuser');
+    expect(res.body.data[0]).not.toHaveProperty('content');
+  });
+
+  it('should keep cursor pagination working with a projection', async () => {
+    await Post.create({
+      title: 'Second Post',
+      content: 'More content',
+      author: userId,
+      status: 'published',
+    });
+
+    const first = await request(app).get('/api/posts?cursor=&limit=1&fields=title');
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toHaveLength(1);
+    expect(first.body.data[0]).not.toHaveProperty('content');
+    expect(first.body.nextCursor).toBeTruthy();
+  });
+
+  it('should reject unknown fields', async () => {
+    const res = await request(app).get('/api/posts?fields=title,password');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('fields');
+  });
+});
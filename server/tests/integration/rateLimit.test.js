@@ -0,0 +1,22 @@
+// rateLimit.test.js - Integration tests for rate limited routes
+
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.AUTH_RATE_LIMIT = '2';
+
+const request = require('supertest');
+const app = require('../../src/app');
+
+describe('Auth rate limiting', () => {
+  it('should answer with 429 in the error format once the limit is reached', async () => {
+    // Missing credentials fail validation without touching the database
+    await request(app).post('/api/auth/login').send({});
+    await request(app).post('/api/auth/login').send({});
+
+    const res = await request(app).post('/api/auth/login').send({});
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBeDefined();
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+    expect(res.body.error.code).toBe('RATE_LIMITED');
+  });
+});
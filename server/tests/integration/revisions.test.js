@@ -0,0 +1,238 @@
+// revisions.test.js - Integration tests for post revision history
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const Revision = require('../../src/models/Revision');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let editor;
+let authorToken;
+let editorToken;
+let otherToken;
+let postId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset database before each test for isolation
+beforeEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+
+  author = await User.create({
+    username: 'revauthor',
+    email: 'revauthor@example.com',
+    password: 'password123',
+  });
+  editor = await User.create({
+    username: 'reveditor',
+    email: 'reveditor@example.com',
+    password: 'password123',
+    role: 'editor',
+  });
+  const other = await User.create({
+    username: 'revother',
+    email: 'revother@example.com',
+    password: 'password123',
+  });
+  authorToken = generateToken(author);
+  editorToken = generateToken(editor);
+  otherToken = generateToken(other);
+
+  const post = await Post.create({
+    title: 'First Title',
+    content: 'line one\nline two',
+    author: author._id,
+    status: 'published',
+  });
+  postId = post._id;
+});
+
+const update = (token, body) =>
+  request(app)
+    .put(`/api/posts/${postId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+describe('Recording revisions', () => {
+  it('should store the original state and the update on first edit', async () => {
+    await update(authorToken, { title: 'Second Title' });
+
+    const revisions = await Revision.find({ post: postId }).sort('rev');
+
+    expect(revisions.length).toBe(2);
+    expect(revisions[0].snapshot.title).toBe('First Title');
+    expect(revisions[0].editor.toString()).toBe(author._id.toString());
+    expect(revisions[1].snapshot.title).toBe('Second Title');
+    expect(revisions[1].changedFields).toEqual(['title']);
+  });
+
+  it('should not record a revision when nothing tracked changed', async () => {
+    await update(authorToken, { title: 'First Title' });
+
+    expect(await Revision.countDocuments({ post: postId })).toBe(0);
+  });
+
+  it('should give concurrent edits distinct revision numbers', async () => {
+    const post = await Post.findById(postId);
+    const previous = Revision.snapshotOf(post);
+    const record = (title) => {
+      post.title = title;
+      return Revision.record(post, previous, { editor: author._id, changedFields: ['title'] });
+    };
+
+    await Promise.all([record('Edit A'), record('Edit B'), record('Edit C')]);
+
+    const revisions = await Revision.find({ post: postId }).sort('rev');
+    expect(revisions.map((r) => r.rev)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should keep every revision when the same post is updated concurrently', async () => {
+    const [first, second] = await Promise.all([
+      update(authorToken, { title: 'Title A' }),
+      update(authorToken, { content: 'changed content' }),
+    ]);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    const revs = (await Revision.find({ post: postId }).sort('rev')).map((r) => r.rev);
+    expect(revs).toEqual([1, 2, 3]);
+  });
+});
+
+describe('GET /api/posts/:id/revisions', () => {
+  it('should list revisions newest first with their editors', async () => {
+    await update(authorToken, { content: 'line one\nline 2' });
+    await update(editorToken, { title: 'Edited by editor' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.map((r) => r.rev)).toEqual([3, 2, 1]);
+    expect(res.body[0].editor.username).toBe('reveditor');
+    expect(res.body[0].changedFields).toEqual(['title']);
+    expect(res.body[0].snapshot.content).toBeUndefined();
+  });
+
+  it('should return 403 for users who cannot edit the post', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for an invalid post ID', async () => {
+    const res = await request(app)
+      .get('/api/posts/not-an-id/revisions')
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).get(`/api/posts/${postId}/revisions`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('GET /api/posts/:id/revisions/diff', () => {
+  it('should return a line diff and changed fields', async () => {
+    await update(authorToken, { title: 'New Title', content: 'line one\nline 2\nline three' });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=1&to=2`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.changes.title).toEqual({ from: 'First Title', to: 'New Title' });
+    expect(res.body.content).toEqual([
+      { type: 'unchanged', line: 'line one' },
+      { type: 'removed', line: 'line two' },
+      { type: 'added', line: 'line 2' },
+      { type: 'added', line: 'line three' },
+    ]);
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=1&to=9`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 400 for revision numbers that are not positive integers', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=1&to=two`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('to');
+  });
+
+  it('should return 400 without both revisions', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=1`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('POST /api/posts/:id/revisions/:rev/restore', () => {
+  it('should restore an earlier revision as a new revision', async () => {
+    await update(authorToken, { title: 'Mistake', content: 'oops' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${editorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.title).toBe('First Title');
+    expect(res.body.content).toBe('line one\nline two');
+
+    const latest = await Revision.findOne({ post: postId }).sort('-rev');
+    expect(latest.rev).toBe(3);
+    expect(latest.restoredFrom).toBe(1);
+    expect(latest.editor.toString()).toBe(editor._id.toString());
+  });
+
+  it('should return 403 for users who cannot edit the post', async () => {
+    await update(authorToken, { title: 'Mistake' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/5/restore`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,140 @@
+// search.test.js - Integration tests for the post search endpoint
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const Category = require('../../src/models/Category');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let otherAuthor;
+let technology;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  // The text index must exist before $text queries can run
+  await Post.init();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset database before each test for isolation
+beforeEach(async () => {
+  await Promise.all([Post.deleteMany({}), User.deleteMany({}), Category.deleteMany({})]);
+
+  author = await User.create({
+    username: 'searchauthor',
+    email: 'search@example.com',
+    password: 'password123',
+  });
+  otherAuthor = await User.create({
+    username: 'otherauthor',
+    email: 'other@example.com',
+    password: 'password123',
+  });
+  technology = await Category.create({ name: 'Technology' });
+
+  await Post.create([
+    {
+      title: 'Learning MongoDB',
+      content: 'A gentle introduction to document databases.',
+      author: author._id,
+      category: technology._id,
+      status: 'published',
+    },
+    {
+      title: 'Cooking pasta',
+      content: 'Boil water, add salt. Unrelated to MongoDB but mentions it once.',
+      author: otherAuthor._id,
+      status: 'published',
+    },
+    {
+      title: 'Gardening tips',
+      content: 'Water your plants every morning.',
+      author: author._id,
+      status: 'draft',
+    },
+  ]);
+});
+
+describe('GET /api/posts/search', () => {
+  it('should return 400 without a query', async () => {
+    const res = await request(app).get('/api/posts/search');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toHaveProperty('error');
+  });
+
+  it('should rank title matches above content matches', async () => {
+    const res = await request(app).get('/api/posts/search?q=mongodb');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(2);
+    expect(res.body.data[0].title).toBe('Learning MongoDB');
+    expect(res.body.data[0].score).toBeGreaterThan(res.body.data[1].score);
+  });
+
+  it('should highlight matches in snippets', async () => {
+    const res = await request(app).get('/api/posts/search?q=mongodb');
+
+    expect(res.body.data[0].highlights.title).toBe('Learning <mark>MongoDB</mark>');
+    expect(res.body.data[1].highlights.content).toContain('<mark>MongoDB</mark>');
+  });
+
+  it('should combine the search with category, author and status filters', async () => {
+    const byCategory = await request(app).get('/api/posts/search?q=mongodb&category=technology');
+    const byAuthor = await request(app).get(`/api/posts/search?q=mongodb&author=${otherAuthor._id}`);
+    const byStatus = await request(app)
+      .get('/api/posts/search?q=water&status=draft')
+      .set('Authorization', `Bearer ${generateToken(author)}`);
+
+    expect(byCategory.body.total).toBe(1);
+    expect(byCategory.body.data[0].title).toBe('Learning MongoDB');
+    expect(byAuthor.body.total).toBe(1);
+    expect(byAuthor.body.data[0].title).toBe('Cooking pasta');
+    expect(byStatus.body.total).toBe(1);
+    expect(byStatus.body.data[0].title).toBe('Gardening tips');
+  });
+
+  it('should hide drafts from anonymous searches', async () => {
+    const res = await request(app).get('/api/posts/search?q=water');
+
+    expect(res.body.total).toBe(1);
+    expect(res.body.data[0].title).toBe('Cooking pasta');
+  });
+
+  it('should accept an author username filter', async () => {
+    const res = await request(app).get('/api/posts/search?q=mongodb&author=otherauthor');
+
+    expect(res.body.total).toBe(1);
+    expect(res.body.data[0].title).toBe('Cooking pasta');
+  });
+
+  it('should paginate results', async () => {
+    const page1 = await request(app).get('/api/posts/search?q=mongodb&limit=1&page=1');
+    const page2 = await request(app).get('/api/posts/search?q=mongodb&limit=1&page=2');
+
+    expect(page1.body.pages).toBe(2);
+    expect(page1.body.data.length).toBe(1);
+    expect(page2.body.data.length).toBe(1);
+    expect(page1.body.data[0]._id).not.toBe(page2.body.data[0]._id);
+  });
+
+  it('should return no results for an unknown category', async () => {
+    const res = await request(app).get('/api/posts/search?q=mongodb&category=unknown');
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(0);
+  });
+});
@@ -0,0 +1,187 @@
+// tags.test.js - Integration tests for tags and tag filters
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let authorToken;
+let adminToken;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset database before each test for isolation
+beforeEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+
+  author = await User.create({
+    username: 'tagauthor',
+    email: 'tagauthor@example.com',
+    password: 'password123',
+  });
+  const admin = await User.create({
+    username: 'tagadmin',
+    email: 'tagadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+  });
+  authorToken = generateToken(author);
+  adminToken = generateToken(admin);
+
+  await Post.create([
+    {
+      title: 'Node and Mongo',
+      content: 'Content',
+      author: author._id,
+      status: 'published',
+      tags: ['Node.js', 'MongoDB'],
+    },
+    {
+      title: 'Just Node',
+      content: 'Content',
+      author: author._id,
+      status: 'published',
+      tags: ['nodejs'],
+    },
+    {
+      title: 'Draft Mongo',
+      content: 'Content',
+      author: author._id,
+      tags: ['mongodb', 'drafts'],
+    },
+  ]);
+});
+
+describe('Post tags', () => {
+  it('should normalize tags on create', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ title: 'Tagged', content: 'Content', tags: ['Web Dev', 'web dev', 'API'] });
+
+    expect(res.status).toBe(201);
+    expect(res.body.tags).toEqual(['web-dev', 'api']);
+  });
+
+  it('should filter posts matching any of the tags by default', async () => {
+    const res = await request(app).get('/api/posts?tags=nodejs,mongodb');
+
+    expect(res.body.total).toBe(2);
+  });
+
+  it('should filter posts matching all of the tags with tagMatch=all', async () => {
+    const res = await request(app).get('/api/posts?tags=NodeJS,MongoDB&tagMatch=all');
+
+    expect(res.body.total).toBe(1);
+    expect(res.body.data[0].title).toBe('Node and Mongo');
+  });
+});
+
+describe('GET /api/tags', () => {
+  it('should count tag usage across published posts', async () => {
+    const res = await request(app).get('/api/tags');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual([
+      { tag: 'nodejs', count: 2 },
+      { tag: 'mongodb', count: 1 },
+    ]);
+  });
+
+  it('should return 400 for a non-numeric limit', async () => {
+    const res = await request(app).get('/api/tags?limit=abc');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('limit');
+  });
+
+  it('should limit the number of tags returned', async () => {
+    const res = await request(app).get('/api/tags?limit=1');
+
+    expect(res.body).toEqual([{ tag: 'nodejs', count: 2 }]);
+  });
+});
+
+describe('PUT /api/tags/:tag', () => {
+  it('should rename a tag on every post', async () => {
+    const res = await request(app)
+      .put('/api/tags/mongodb')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Mongo' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ from: 'mongodb', to: 'mongo', merged: false, postsUpdated: 2 });
+    expect(await Post.countDocuments({ tags: 'mongodb' })).toBe(0);
+    expect(await Post.countDocuments({ tags: 'mongo' })).toBe(2);
+  });
+
+  it('should merge into an existing tag without duplicating it', async () => {
+    await Post.create({
+      title: 'Both',
+      content: 'Content',
+      author: author._id,
+      tags: ['nodejs', 'mongodb'],
+    });
+
+    const res = await request(app)
+      .put('/api/tags/mongodb')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'nodejs' });
+
+    expect(res.body.merged).toBe(true);
+
+    const both = await Post.findOne({ title: 'Both' });
+    expect(both.tags).toEqual(['nodejs']);
+  });
+
+  it('should return 404 for an unknown tag', async () => {
+    const res = await request(app)
+      .put('/api/tags/unknown')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'known' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should return 400 for a missing or non-string name', async () => {
+    const missing = await request(app)
+      .put('/api/tags/mongodb')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({});
+    const object = await request(app)
+      .put('/api/tags/mongodb')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: { value: 'mongo' } });
+
+    expect(missing.status).toBe(400);
+    expect(object.status).toBe(400);
+    expect(object.body.error.errors[0].field).toBe('name');
+  });
+
+  it('should return 403 for non-admins', async () => {
+    const res = await request(app)
+      .put('/api/tags/mongodb')
+      .set('Authorization', `Bearer ${authorToken}`)
+      .send({ name: 'mongo' });
+
+    expect(res.status).toBe(403);
+  });
+});
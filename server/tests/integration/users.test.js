@@ -0,0 +1,247 @@
+// users.test.js - Integration tests for public profiles and account management
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken, issueRefreshToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let user;
+let token;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Reset database before each test for isolation
+beforeEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+
+  user = await User.create({
+    username: 'profileuser',
+    email: 'profileuser@example.com',
+    password: 'password123',
+    bio: 'Writes about testing',
+  });
+  token = generateToken(user);
+});
+
+const as = (method, path) => request(app)[method](path).set('Authorization', `Bearer ${token}`);
+
+describe('GET /api/users/:username', () => {
+  beforeEach(async () => {
+    await Post.create([
+      { title: 'Published One', content: 'First', author: user._id, status: 'published' },
+      { title: 'Published Two', content: 'Second', author: user._id, status: 'published' },
+      { title: 'A Draft', content: 'Unfinished', author: user._id, status: 'draft' },
+    ]);
+  });
+
+  it('should return the public profile with a published post count', async () => {
+    const res = await request(app).get('/api/users/profileuser');
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({
+      username: 'profileuser',
+      bio: 'Writes about testing',
+      avatarUrl: null,
+      joinedAt: user.createdAt.toISOString(),
+      postCount: 2,
+    });
+  });
+
+  it('should never expose the email, role or password', async () => {
+    const res = await request(app).get('/api/users/profileuser');
+    const body = JSON.stringify(res.body);
+
+    expect(body).not.toContain('profileuser@example.com');
+    expect(res.body.user).not.toHaveProperty('role');
+    expect(res.body.user).not.toHaveProperty('password');
+  });
+
+  it('should list only published posts, without their full content', async () => {
+    const res = await request(app).get('/api/users/profileuser?limit=1');
+
+    expect(res.body.posts.total).toBe(2);
+    expect(res.body.posts.pages).toBe(2);
+    expect(res.body.posts.hasNext).toBe(true);
+    expect(res.body.posts.data).toHaveLength(1);
+    expect(res.body.posts.data[0].status).toBe('published');
+    expect(res.body.posts.data[0]).not.toHaveProperty('content');
+    expect(res.body.posts.data[0]).toHaveProperty('excerpt');
+  });
+
+  it('should leave trashed posts out', async () => {
+    await Post.updateOne({ title: 'Published One' }, { deletedAt: new Date() });
+
+    const res = await request(app).get('/api/users/profileuser');
+
+    expect(res.body.user.postCount).toBe(1);
+    expect(res.body.posts.data.map((p) => p.title)).toEqual(['Published Two']);
+  });
+
+  it('should return 404 for an unknown user', async () => {
+    const res = await request(app).get('/api/users/nobody');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error.code).toBe('USER_NOT_FOUND');
+  });
+});
+
+describe('Author details on posts', () => {
+  it('should not expose author emails in post lists', async () => {
+    await Post.create({ title: 'Listed', content: 'Body', author: user._id, status: 'published' });
+
+    const res = await request(app).get('/api/posts');
+
+    expect(res.body.data[0].author.username).toBe('profileuser');
+    expect(res.body.data[0].author).not.toHaveProperty('email');
+  });
+});
+
+describe('PATCH /api/users/me', () => {
+  it('should update the bio and avatar', async () => {
+    const res = await as('patch', '/api/users/me').send({
+      bio: 'New bio',
+      avatarUrl: 'https://example.com/me.png',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.bio).toBe('New bio');
+    expect(res.body.avatarUrl).toBe('https://example.com/me.png');
+    expect(res.body).not.toHaveProperty('password');
+  });
+
+  it('should remove the avatar when given an empty value', async () => {
+    await User.findByIdAndUpdate(user._id, { avatarUrl: 'https://example.com/me.png' });
+
+    const res = await as('patch', '/api/users/me').send({ avatarUrl: '' });
+
+    expect(res.body.avatarUrl).toBeNull();
+  });
+
+  it('should reject avatar URLs that are not http or https', async () => {
+    const res = await as('patch', '/api/users/me').send({ avatarUrl: 'javascript:alert(1)' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('avatarUrl');
+  });
+
+  it('should change the username', async () => {
+    const res = await as('patch', '/api/users/me').send({ username: 'renamed' });
+
+    expect(res.status).toBe(200);
+    expect((await request(app).get('/api/users/renamed')).status).toBe(200);
+  });
+
+  it('should return 409 for a username that is taken', async () => {
+    await User.create({ username: 'taken', email: 'taken@example.com', password: 'password123' });
+
+    const res = await as('patch', '/api/users/me').send({ username: 'taken' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.code).toBe('USERNAME_TAKEN');
+  });
+
+  it('should ignore fields that cannot be edited here', async () => {
+    await as('patch', '/api/users/me').send({ role: 'admin', email: 'new@example.com' });
+
+    const stored = await User.findById(user._id);
+    expect(stored.role).toBe('author');
+    expect(stored.email).toBe('profileuser@example.com');
+  });
+
+  it('should return 401 if not authenticated', async () => {
+    const res = await request(app).patch('/api/users/me').send({ bio: 'Anonymous' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /api/users/me/password', () => {
+  it('should change the password and return a new token pair', async () => {
+    const res = await as('post', '/api/users/me/password').send({
+      currentPassword: 'password123',
+      newPassword: 'newpassword456',
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveProperty('token');
+    expect(res.body).toHaveProperty('refreshToken');
+
+    const stored = await User.findById(user._id);
+    expect(await stored.comparePassword('newpassword456')).toBe(true);
+    expect(await stored.comparePassword('password123')).toBe(false);
+  });
+
+  it('should sign out existing sessions', async () => {
+    const refreshToken = await issueRefreshToken(user);
+
+    const res = await as('post', '/api/users/me/password').send({
+      currentPassword: 'password123',
+      newPassword: 'newpassword456',
+    });
+
+    const oldAccess = await as('get', '/api/auth/me');
+    const oldRefresh = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    const newAccess = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${res.body.token}`);
+
+    expect(oldAccess.status).toBe(401);
+    expect(oldRefresh.status).toBe(401);
+    expect(newAccess.status).toBe(200);
+  });
+
+  it('should return 400 when the current password is wrong', async () => {
+    const res = await as('post', '/api/users/me/password').send({
+      currentPassword: 'wrongpassword',
+      newPassword: 'newpassword456',
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('INVALID_CURRENT_PASSWORD');
+    expect(await (await User.findById(user._id)).comparePassword('password123')).toBe(true);
+  });
+
+  it('should reject a new password that is too short or unchanged', async () => {
+    const short = await as('post', '/api/users/me/password').send({
+      currentPassword: 'password123',
+      newPassword: 'abc',
+    });
+    const same = await as('post', '/api/users/me/password').send({
+      currentPassword: 'password123',
+      newPassword: 'password123',
+    });
+
+    expect(short.status).toBe(400);
+    expect(short.body.error.errors[0].field).toBe('newPassword');
+    expect(same.status).toBe(400);
+    expect(same.body.error.errors[0].field).toBe('newPassword');
+  });
+
+  it('should reject a new password that is not a string', async () => {
+    const res = await as('post', '/api/users/me/password').send({
+      currentPassword: 'password123',
+      newPassword: 12345678,
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.errors[0].field).toBe('newPassword');
+    expect(await (await User.findById(user._id)).comparePassword('password123')).toBe(true);
+  });
+});
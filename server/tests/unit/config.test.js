@@ -0,0 +1,99 @@
+// server/tests/unit/config.test.js - Unit tests for configuration loading
+
+const jwt = require('jsonwebtoken');
+const { loadConfig, ConfigError, DEFAULT_JWT_SECRET } = require('../../src/config');
+
+const productionEnv = {
+  NODE_ENV: 'production',
+  MONGO_URI: 'mongodb://db.internal:27017/blog',
+  JWT_SECRET: 'a-long-random-production-secret-value-1234',
+};
+
+const problemsFor = (env) => {
+  try {
+    loadConfig(env);
+  } catch (error) {
+    expect(error).toBeInstanceOf(ConfigError);
+    return error.problems;
+  }
+  return [];
+};
+
+describe('loadConfig', () => {
+  it('should apply defaults outside production', () => {
+    const config = loadConfig({ NODE_ENV: 'development' });
+
+    expect(config.port).toBe(5000);
+    expect(config.mongo.uri).toBe('mongodb://localhost:27017/mern-testing-app');
+    expect(config.jwt).toEqual({ secret: DEFAULT_JWT_SECRET, expire: '15m' });
+    expect(config.logLevel).toBe('info');
+  });
+
+  it('should read values from the environment', () => {
+    const config = loadConfig({ ...productionEnv, PORT: '8080', JWT_EXPIRE: '1h' });
+
+    expect(config.isProduction).toBe(true);
+    expect(config.port).toBe(8080);
+    expect(config.mongo.uri).toBe(productionEnv.MONGO_URI);
+    expect(config.jwt.expire).toBe('1h');
+  });
+
+  it('should treat a unitless JWT_EXPIRE as seconds', () => {
+    const config = loadConfig({ JWT_EXPIRE: '900' });
+
+    expect(config.jwt.expire).toBe(900);
+
+    const token = jwt.sign({ id: 'abc' }, 'secret', { expiresIn: config.jwt.expire });
+    const { iat, exp } = jwt.decode(token);
+    expect(exp - iat).toBe(900);
+  });
+
+  it('should read TRUST_PROXY as a flag, hop count or address list', () => {
+    expect(loadConfig({}).trustProxy).toBe(false);
+    expect(loadConfig({ TRUST_PROXY: 'false' }).trustProxy).toBe(false);
+    expect(loadConfig({ TRUST_PROXY: 'true' }).trustProxy).toBe(true);
+    expect(loadConfig({ TRUST_PROXY: '1' }).trustProxy).toBe(1);
+    expect(loadConfig({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }).trustProxy).toBe(
+      'loopback, 10.0.0.0/8'
+    );
+  });
+
+  it('should accept the older MONGODB_URI name', () => {
+    const config = loadConfig({ MONGODB_URI: 'mongodb+srv://cluster.example.net/blog' });
+
+    expect(config.mongo.uri).toBe('mongodb+srv://cluster.example.net/blog');
+  });
+
+  it('should refuse the default JWT secret in production', () => {
+    expect(problemsFor({ ...productionEnv, JWT_SECRET: DEFAULT_JWT_SECRET })).toEqual([
+      'JWT_SECRET must be set to a private value in production',
+    ]);
+    expect(problemsFor({ ...productionEnv, JWT_SECRET: 'short' })).toEqual([
+      'JWT_SECRET must be at least 32 characters in production',
+    ]);
+  });
+
+  it('should require MONGO_URI in production', () => {
+    expect(problemsFor({ ...productionEnv, MONGO_URI: undefined })).toEqual([
+      'MONGO_URI must be set in production',
+    ]);
+  });
+
+  it('should report every invalid variable at once', () => {
+    const problems = problemsFor({
+      PORT: 'eighty',
+      MONGO_URI: 'localhost:27017',
+      JWT_EXPIRE: 'soon',
+      LOG_LEVEL: 'loud',
+    });
+
+    expect(problems).toHaveLength(4);
+    expect(problems[0]).toBe('PORT must be an integer between 1 and 65535 (got "eighty")');
+  });
+
+  it('should list problems in the error message', () => {
+    expect(() => loadConfig({ LOG_LEVEL: 'loud' })).toThrow(
+      /Invalid configuration:\n {2}- LOG_LEVEL must be one of/
+    );
+  });
+});
@@ -0,0 +1,62 @@
+// server/tests/unit/database.test.js - Unit tests for the MongoDB connection manager
+
+const mongoose = require('mongoose');
+const {
+  connectDatabase,
+  disconnectDatabase,
+  backoffDelay,
+} = require('../../src/config/database');
+
+const options = {
+  uri: 'mongodb://localhost:27017/test',
+  connectRetries: 3,
+  retryDelayMs: 1,
+  maxRetryDelayMs: 4,
+  serverSelectionTimeoutMs: 100,
+};
+
+describe('backoffDelay', () => {
+  it('should double the delay up to the maximum', () => {
+    const delays = [0, 1, 2, 3, 4].map((attempt) =>
+      backoffDelay(attempt, { retryDelayMs: 100, maxRetryDelayMs: 500 })
+    );
+
+    expect(delays).toEqual([100, 200, 400, 500, 500]);
+  });
+});
+
+describe('connectDatabase', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should retry until a connection succeeds', async () => {
+    const connect = jest
+      .spyOn(mongoose, 'connect')
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockRejectedValueOnce(new Error('ECONNREFUSED'))
+      .mockResolvedValue(mongoose);
+
+    await expect(connectDatabase(options)).resolves.toBe(mongoose.connection);
+    expect(connect).toHaveBeenCalledTimes(3);
+    expect(connect).toHaveBeenCalledWith(options.uri, { serverSelectionTimeoutMS: 100 });
+  });
+
+  it('should give up after the configured number of retries', async () => {
+    const connect = jest.spyOn(mongoose, 'connect').mockRejectedValue(new Error('ECONNREFUSED'));
+
+    await expect(connectDatabase(options)).rejects.toThrow('ECONNREFUSED');
+    expect(connect).toHaveBeenCalledTimes(4);
+  });
+
+  it('should stop retrying once disconnected', async () => {
+    jest.spyOn(mongoose, 'connect').mockRejectedValue(new Error('ECONNREFUSED'));
+    jest.spyOn(mongoose.connection, 'close').mockResolvedValue();
+
+    const pending = connectDatabase({ ...options, retryDelayMs: 60000, maxRetryDelayMs: 60000 });
+    await new Promise((resolve) => setImmediate(resolve));
+    await disconnectDatabase();
+
+    await expect(pending).rejects.toThrow('Database connection cancelled');
+  });
+});
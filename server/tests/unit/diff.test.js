@@ -0,0 +1,64 @@
+// server/tests/unit/diff.test.js - Unit tests for the line diff helper
+
+const { diffLines, MAX_DIFF_CELLS } = require('../../src/utils/diff');
+
+describe('diffLines', () => {
+  it('should mark identical texts as unchanged', () => {
+    expect(diffLines('a\nb', 'a\nb')).toEqual([
+      { type: 'unchanged', line: 'a' },
+      { type: 'unchanged', line: 'b' },
+    ]);
+  });
+
+  it('should report added and removed lines around common ones', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc\nd')).toEqual([
+      { type: 'unchanged', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'added', line: 'x' },
+      { type: 'unchanged', line: 'c' },
+      { type: 'added', line: 'd' },
+    ]);
+  });
+
+  it('should treat empty or missing text as no lines', () => {
+    expect(diffLines('', 'a')).toEqual([{ type: 'added', line: 'a' }]);
+    expect(diffLines('a', undefined)).toEqual([{ type: 'removed', line: 'a' }]);
+    expect(diffLines('', '')).toEqual([]);
+  });
+
+  it('should keep the longest common subsequence unchanged', () => {
+    const result = diffLines('x\na\nb\nc', 'a\nb\nc\ny');
+
+    expect(result.filter((entry) => entry.type === 'unchanged').map((e) => e.line)).toEqual([
+      'a',
+      'b',
+      'c',
+    ]);
+  });
+
+  it('should fall back to a block diff past the size cap', () => {
+    const result = diffLines('same\na\nb\nend', 'same\nb\nc\nend', { maxCells: 3 });
+
+    expect(result).toEqual([
+      { type: 'unchanged', line: 'same' },
+      { type: 'removed', line: 'a' },
+      { type: 'removed', line: 'b' },
+      { type: 'added', line: 'b' },
+      { type: 'added', line: 'c' },
+      { type: 'unchanged', line: 'end' },
+    ]);
+  });
+
+  it('should diff very large texts without building the full table', () => {
+    const lines = Math.ceil(Math.sqrt(MAX_DIFF_CELLS)) + 1000;
+    const before = Array.from({ length: lines }, (_, i) => `before ${i}`).join('\n');
+    const after = Array.from({ length: lines }, (_, i) => `after ${i}`).join('\n');
+
+    const started = Date.now();
+    const result = diffLines(before, after);
+
+    expect(result).toHaveLength(lines * 2);
+    expect(result[0]).toEqual({ type: 'removed', line: 'before 0' });
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,67 @@
+// server/tests/unit/errorHandler.test.js - Unit tests for the global error handler
+
+const { errorHandler } = require('../../src/middleware/errorHandler');
+const { NotFoundError } = require('../../src/utils/errors');
+const { logger } = require('../../src/utils/logger');
+
+const render = (err) => {
+  const req = { id: 'req-1', originalUrl: '/api/test', method: 'GET' };
+  const res = {
+    status: jest.fn().mockReturnThis(),
+    json: jest.fn().mockReturnThis(),
+  };
+
+  errorHandler(err, req, res, jest.fn());
+
+  return { status: res.status.mock.calls[0][0], body: res.json.mock.calls[0][0] };
+};
+
+describe('errorHandler', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should render AppErrors with their status and code', () => {
+    const { status, body } = render(new NotFoundError('Post not found', 'POST_NOT_FOUND'));
+
+    expect(status).toBe(404);
+    expect(body).toEqual({
+      error: { status: 404, code: 'POST_NOT_FOUND', message: 'Post not found', requestId: 'req-1' },
+    });
+  });
+
+  it('should turn mongoose validation errors into field errors', () => {
+    const err = {
+      name: 'ValidationError',
+      message: 'Post validation failed',
+      errors: { title: { path: 'title', message: 'Title is required' } },
+    };
+
+    const { status, body } = render(err);
+
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('VALIDATION_FAILED');
+    expect(body.error.errors).toEqual([
+      { field: 'title', location: 'body', message: 'Title is required' },
+    ]);
+  });
+
+  it('should map duplicate keys to 409', () => {
+    const { status, body } = render({ code: 11000, keyValue: { email: 'a@b.c' } });
+
+    expect(status).toBe(409);
+    expect(body.error.code).toBe('DUPLICATE_KEY');
+  });
+
+  it('should hide the message of unexpected errors', () => {
+    const { status, body } = render(new Error('connection string with secrets'));
+
+    expect(status).toBe(500);
+    expect(body.error.code).toBe('INTERNAL_ERROR');
+    expect(body.error.message).toBe('Internal Server Error');
+  });
+});
@@ -0,0 +1,131 @@
+// server/tests/unit/logger.test.js - Unit tests for logger redaction and transports
+
+const winston = require('winston');
+const {
+  logger,
+  createLogger,
+  redact,
+  redactValue,
+  transportsFor,
+  REDACTED,
+} = require('../../src/utils/logger');
+
+const patterns = (...paths) => paths.map((p) => p.toLowerCase().split('.'));
+
+describe('redactValue', () => {
+  it('should redact bare keys at any depth, ignoring case', () => {
+    const entry = {
+      body: { email: 'a@b.c', password: 'secret123' },
+      headers: { Authorization: 'Bearer abc' },
+    };
+
+    expect(redactValue(entry, patterns('password', 'authorization'))).toEqual({
+      body: { email: 'a@b.c', password: REDACTED },
+      headers: { Authorization: REDACTED },
+    });
+  });
+
+  it('should match dotted paths from the top with wildcards', () => {
+    const entry = {
+      user: { email: 'a@b.c' },
+      users: [{ email: 'x@y.z' }],
+      email: 'top@level.com',
+    };
+
+    expect(redactValue(entry, patterns('user.email', 'users.*.email'))).toEqual({
+      user: { email: REDACTED },
+      users: [{ email: REDACTED }],
+      email: 'top@level.com',
+    });
+  });
+
+  it('should not modify the objects it was given', () => {
+    const body = { password: 'secret123' };
+
+    redactValue({ body }, patterns('password'));
+
+    expect(body.password).toBe('secret123');
+  });
+
+  it('should cope with circular references', () => {
+    const entry = { name: 'loop' };
+    entry.self = entry;
+
+    expect(redactValue(entry, patterns('password'))).toEqual({ name: 'loop', self: '[Circular]' });
+  });
+});
+
+describe('redact format', () => {
+  it('should redact default paths and keep winston symbols', () => {
+    const level = Symbol.for('level');
+    const info = redact().transform({
+      level: 'info',
+      [level]: 'info',
+      message: 'Login attempt',
+      body: { email: 'a@b.c', password: 'secret123' },
+      refreshToken: 'abc',
+    });
+
+    expect(info[level]).toBe('info');
+    expect(info.body).toEqual({ email: 'a@b.c', password: REDACTED });
+    expect(info.refreshToken).toBe(REDACTED);
+  });
+
+  it('should accept custom paths', () => {
+    const format = redact({ paths: ['ssn'] });
+    const info = format.transform({ level: 'info', message: 'x', ssn: '123' }, format.options);
+
+    expect(info.ssn).toBe(REDACTED);
+  });
+});
+
+describe('transportsFor', () => {
+  const originalLogFiles = process.env.LOG_FILES;
+
+  afterEach(() => {
+    if (originalLogFiles === undefined) {
+      delete process.env.LOG_FILES;
+    } else {
+      process.env.LOG_FILES = originalLogFiles;
+    }
+  });
+
+  it('should not log anywhere in tests', () => {
+    expect(transportsFor('test')).toEqual([]);
+    expect(logger.silent).toBe(true);
+  });
+
+  it('should log JSON to stdout in production', () => {
+    process.env.LOG_FILES = 'false';
+
+    const transports = transportsFor('production');
+
+    expect(transports).toHaveLength(1);
+    expect(transports[0]).toBeInstanceOf(winston.transports.Console);
+    expect(transports[0].format).toBeUndefined();
+  });
+
+  it('should use a pretty console in development', () => {
+    process.env.LOG_FILES = 'false';
+
+    const [console] = transportsFor('development');
+
+    expect(console.format).toBeDefined();
+  });
+});
+
+describe('createLogger', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should tag entries with the module name', () => {
+    const write = jest.spyOn(logger, 'write').mockImplementation(() => true);
+
+    createLogger('scheduler').info('Job ran');
+
+    expect(write).toHaveBeenCalledWith(
+      expect.objectContaining({ module: 'scheduler', message: 'Job ran' })
+    );
+  });
+});
@@ -0,0 +1,183 @@
+// server/tests/unit/markdown.test.js - Markdown rendering and XSS regression tests
+
+const { renderMarkdown, sanitizeHtml, markdownToText } = require('../../src/utils/markdown');
+
+// Known payloads, mostly from the OWASP XSS filter evasion cheat sheet
+const XSS_PAYLOADS = [
+  '<script>alert(1)</script>',
+  '<SCRIPT SRC=http://xss.example/xss.js></SCRIPT>',
+  '<IMG SRC="javascript:alert(\'XSS\');">',
+  '<IMG SRC=JaVaScRiPt:alert(1)>',
+  '<IMG SRC=`javascript:alert("XSS")`>',
+  '<IMG SRC=&#106;&#97;&#118;&#97;&#115;&#99;&#114;&#105;&#112;&#116;&#58;&#97;&#108;&#101;&#114;&#116;&#40;&#49;&#41;>',
+  '<IMG SRC="jav&#x09;ascript:alert(1);">',
+  '<img src=x onerror=alert(1)>',
+  '<img src="x" onerror="alert(1)"/>',
+  '<svg/onload=alert(1)>',
+  '<svg><script>alert(1)</script></svg>',
+  '<body onload=alert(1)>',
+  '<iframe src="javascript:alert(1)"></iframe>',
+  '<iframe srcdoc="<script>alert(1)</script>"></iframe>',
+  '<object data="javascript:alert(1)"></object>',
+  '<embed src="data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==">',
+  '<a href="javascript:alert(1)">click</a>',
+  '<a href="  javascript:alert(1)">click</a>',
+  '<a href="data:text/html,<script>alert(1)</script>">click</a>',
+  '<a href="vbscript:msgbox(1)">click</a>',
+  '<div style="background:url(javascript:alert(1))">x</div>',
+  '<p style="width: expression(alert(1))">x</p>',
+  '<style>@import "http://xss.example/xss.css";</style>',
+  '<link rel="stylesheet" href="http://xss.example/xss.css">',
+  '<meta http-equiv="refresh" content="0;url=javascript:alert(1)">',
+  '<form action="javascript:alert(1)"><input type="submit"></form>',
+  '<input onfocus=alert(1) autofocus>',
+  '<details open ontoggle=alert(1)>',
+  '<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>',
+  '<<script>alert(1)//<</script>',
+  '<scr<script>ipt>alert(1)</scr</script>ipt>',
+  '<a href="http://example.com" onclick="alert(1)">x</a>',
+  '<table background="javascript:alert(1)"><tr><td>x</td></tr></table>',
+  '<code class="language-js" onmouseover="alert(1)">x</code>',
+  '<base href="javascript:alert(1)//">',
+  // Markdown link and image syntax
+  '[click](javascript:alert(1))',
+  '[click](JAVASCRIPT:alert(1))',
+  '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+  '[click](vbscript:msgbox(1))',
+  '![img](javascript:alert(1))',
+  '![img](data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+)',
+  '[x](http://example.com "title\\" onmouseover=\\"alert(1)")',
+  '<http://example.com/" onmouseover="alert(1)>',
+];
+
+const SAFE_TAGS = [
+  'h1',
+  'h2',
+  'h3',
+  'h4',
+  'h5',
+  'h6',
+  'p',
+  'br',
+  'hr',
+  'blockquote',
+  'pre',
+  'code',
+  'em',
+  'strong',
+  's',
+  'del',
+  'ul',
+  'ol',
+  'li',
+  'a',
+  'img',
+  'table',
+  'thead',
+  'tbody',
+  'tr',
+  'th',
+  'td',
+];
+const SAFE_ATTRIBUTES = ['href', 'src', 'alt', 'title', 'rel', 'start', 'class', 'style'];
+
+// Real tags only: escaped text such as &lt;script&gt; is harmless
+const TAG = /<\/?([a-z][a-z0-9]*)\b([^>]*)>/gi;
+const ATTRIBUTE = /([^\s=/]+)(?:\s*=\s*"([^"]*)")?/g;
+
+// Browsers decode entities in attribute values before reading the URL
+const decodeEntities = (value) =>
+  value
+    .replace(/&#x([\da-f]+);?/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (m, dec) => String.fromCharCode(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+
+const expectSafe = (html) => {
+  [...html.matchAll(TAG)].forEach(([, tag, attributes]) => {
+    expect(SAFE_TAGS).toContain(tag.toLowerCase());
+
+    [...attributes.matchAll(ATTRIBUTE)].forEach(([, name, value = '']) => {
+      expect(SAFE_ATTRIBUTES).toContain(name.toLowerCase());
+      // Relative URLs are fine; anything with a scheme must be an allowed one
+      const scheme = decodeEntities(value).trim().match(/^([a-z][a-z\d+.-]*):/i);
+      if ((name === 'href' || name === 'src') && scheme) {
+        expect(['http', 'https', 'mailto']).toContain(scheme[1].toLowerCase());
+      }
+      if (name === 'style') {
+        expect(value).toMatch(/^text-align:(left|right|center)$/);
+      }
+    });
+  });
+};
+
+describe('XSS regression', () => {
+  it.each(XSS_PAYLOADS)('should neutralize %s when rendered as Markdown', (payload) => {
+    expectSafe(renderMarkdown(payload));
+  });
+
+  it.each(XSS_PAYLOADS)('should neutralize %s when sanitized as HTML', (payload) => {
+    expectSafe(sanitizeHtml(payload));
+  });
+});
+
+describe('renderMarkdown', () => {
+  it('should render common Markdown', () => {
+    const html = renderMarkdown('# Title\n\nSome *emphasis*, **bold** and `code`.\n\n- one\n- two');
+
+    expect(html).toContain('<h1>Title</h1>');
+    expect(html).toContain('<em>emphasis</em>');
+    expect(html).toContain('<strong>bold</strong>');
+    expect(html).toContain('<code>code</code>');
+    expect(html).toContain('<ul>\n<li>one</li>\n<li>two</li>\n</ul>');
+  });
+
+  it('should keep safe links and mark them nofollow', () => {
+    expect(renderMarkdown('[docs](https://example.com/docs)')).toBe(
+      '<p><a href="https://example.com/docs" rel="nofollow noopener noreferrer">docs</a></p>\n'
+    );
+  });
+
+  it('should keep the language class on fenced code', () => {
+    expect(renderMarkdown('```js\nconst a = 1;\n```')).toContain('<code class="language-js">');
+  });
+
+  it('should keep table alignment', () => {
+    const html = renderMarkdown('| a | b |\n|:-:|--:|\n| 1 | 2 |');
+
+    expect(html).toContain('<th style="text-align:center">a</th>');
+    expect(html).toContain('<td style="text-align:right">2</td>');
+  });
+
+  it('should escape raw HTML in the source instead of rendering it', () => {
+    expect(renderMarkdown('<b>bold</b>')).toBe('<p>&lt;b&gt;bold&lt;/b&gt;</p>\n');
+  });
+
+  it('should handle empty content', () => {
+    expect(renderMarkdown('')).toBe('');
+    expect(renderMarkdown(undefined)).toBe('');
+  });
+});
+
+describe('markdownToText', () => {
+  it('should drop markup and keep the text', () => {
+    const text = markdownToText('# Title\n\nSome **bold** and [a link](https://example.com).');
+
+    expect(text).toBe('Title\nSome bold and a link.');
+  });
+
+  it('should keep inline code, code blocks and image alt text', () => {
+    const text = markdownToText('Run `npm test`\n\n![a diagram](d.png)\n\n```\nnpm start\n```');
+
+    expect(text).toBe('Run npm test\na diagram\nnpm start');
+  });
+
+  it('should not turn escaped HTML back into markup', () => {
+    expect(markdownToText('<script>alert(1)</script>')).toBe('<script>alert(1)</script>');
+  });
+
+  it('should handle empty content', () => {
+    expect(markdownToText('')).toBe('');
+    expect(markdownToText(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,78 @@
+// server/tests/unit/metrics.test.js - Unit tests for the metrics registry
+
+const { Registry } = require('../../src/utils/metrics');
+
+describe('metrics Registry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+  });
+
+  it('should render counters with help, type and labels', () => {
+    const counter = registry.counter({
+      name: 'jobs_total',
+      help: 'Jobs run',
+      labelNames: ['job'],
+    });
+
+    counter.inc({ job: 'purge' });
+    counter.inc({ job: 'purge' }, 2);
+
+    expect(registry.render()).toBe(
+      [
+        '# HELP jobs_total Jobs run',
+        '# TYPE jobs_total counter',
+        'jobs_total{job="purge"} 3',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('should keep one series per label set regardless of key order', () => {
+    const counter = registry.counter({ name: 'c', help: 'c', labelNames: ['a', 'b'] });
+
+    counter.inc({ a: 1, b: 2 });
+    counter.inc({ b: 2, a: 1 });
+
+    expect(counter.series.size).toBe(1);
+  });
+
+  it('should escape label values', () => {
+    const gauge = registry.gauge({ name: 'g', help: 'g', labelNames: ['path'] });
+
+    gauge.set({ path: 'say "hi"\n' }, 1);
+
+    expect(registry.render()).toContain('g{path="say \\"hi\\"\\n"} 1');
+  });
+
+  it('should compute collected gauges on render', () => {
+    let value = 5;
+    registry.gauge({ name: 'live', help: 'live', collect: () => value });
+
+    value = 7;
+
+    expect(registry.render()).toContain('live 7');
+  });
+
+  it('should render cumulative histogram buckets', () => {
+    const histogram = registry.histogram({ name: 'latency', help: 'l', buckets: [0.1, 1] });
+
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+
+    const output = registry.render();
+    expect(output).toContain('latency_bucket{le="0.1"} 1');
+    expect(output).toContain('latency_bucket{le="1"} 2');
+    expect(output).toContain('latency_bucket{le="+Inf"} 3');
+    expect(output).toContain('latency_sum 3.55');
+    expect(output).toContain('latency_count 3');
+  });
+
+  it('should reject duplicate metric names', () => {
+    registry.counter({ name: 'dup', help: 'd' });
+
+    expect(() => registry.counter({ name: 'dup', help: 'd' })).toThrow(/already registered/);
+  });
+});
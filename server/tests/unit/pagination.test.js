@@ -0,0 +1,69 @@
+// server/tests/unit/pagination.test.js - Unit tests for pagination helpers
+
+const mongoose = require('mongoose');
+const {
+  parsePagination,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  buildLinkHeader,
+} = require('../../src/utils/pagination');
+
+describe('Pagination Helpers', () => {
+  describe('parsePagination', () => {
+    it('should apply defaults', () => {
+      expect(parsePagination({})).toEqual({ page: 1, limit: 10, skip: 0 });
+    });
+
+    it('should coerce strings and compute skip', () => {
+      expect(parsePagination({ page: '3', limit: '20' })).toEqual({ page: 3, limit: 20, skip: 40 });
+    });
+
+    it('should clamp limit to the maximum', () => {
+      expect(parsePagination({ limit: '500' }, { maxLimit: 25 }).limit).toBe(25);
+    });
+
+    it('should ignore invalid values', () => {
+      expect(parsePagination({ page: '-2', limit: 'abc' })).toEqual({ page: 1, limit: 10, skip: 0 });
+    });
+  });
+
+  describe('cursors', () => {
+    it('should round-trip a document position', () => {
+      const doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date('2024-01-15T10:00:00Z') };
+
+      const decoded = decodeCursor(encodeCursor(doc));
+
+      expect(decoded.createdAt.toISOString()).toBe('2024-01-15T10:00:00.000Z');
+      expect(decoded.id.toString()).toBe(doc._id.toString());
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(decodeCursor('garbage')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"c":"nope","i":"1"}').toString('base64url'))).toBeNull();
+    });
+
+    it('should break createdAt ties with _id', () => {
+      const position = { createdAt: new Date(), id: new mongoose.Types.ObjectId() };
+
+      expect(cursorFilter(position).$or[1]).toEqual({
+        createdAt: position.createdAt,
+        _id: { $lt: position.id },
+      });
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    it('should replace query params while keeping others', () => {
+      const req = {
+        protocol: 'http',
+        originalUrl: '/api/posts?category=tech&page=1',
+        get: () => 'localhost:5000',
+      };
+
+      const header = buildLinkHeader(req, { next: { page: 2 } });
+
+      expect(header).toBe('<http://localhost:5000/api/posts?category=tech&page=2>; rel="next"');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+// server/tests/unit/rateLimit.test.js - Unit tests for rate limiting
+
+const express = require('express');
+const request = require('supertest');
+const { rateLimit, strategies, MemoryStore } = require('../../src/middleware/rateLimit');
+
+describe('Rate limit strategies', () => {
+  it('should allow up to the limit per fixed window', () => {
+    const limiter = strategies['fixed-window']({ limit: 2, windowMs: 1000 });
+
+    const first = limiter.hit(undefined, 0);
+    const second = limiter.hit(first.state, 100);
+    const third = limiter.hit(second.state, 200);
+
+    expect([first.allowed, second.allowed, third.allowed]).toEqual([true, true, false]);
+    expect(second.remaining).toBe(0);
+    expect(third.retryAfterMs).toBe(800);
+  });
+
+  it('should start a new fixed window once the old one ends', () => {
+    const limiter = strategies['fixed-window']({ limit: 1, windowMs: 1000 });
+
+    const first = limiter.hit(undefined, 0);
+    const next = limiter.hit(first.state, 1000);
+
+    expect(next.allowed).toBe(true);
+    expect(next.resetMs).toBe(1000);
+  });
+
+  it('should allow bursts and refill tokens over time', () => {
+    const limiter = strategies['token-bucket']({ capacity: 2, refillPerSecond: 1 });
+
+    const first = limiter.hit(undefined, 0);
+    const second = limiter.hit(first.state, 0);
+    const blocked = limiter.hit(second.state, 0);
+    const refilled = limiter.hit(blocked.state, 1000);
+
+    expect([first.allowed, second.allowed, blocked.allowed]).toEqual([true, true, false]);
+    expect(blocked.retryAfterMs).toBe(1000);
+    expect(refilled.allowed).toBe(true);
+  });
+});
+
+describe('MemoryStore', () => {
+  it('should expire entries after their ttl', async () => {
+    let now = 0;
+    const store = new MemoryStore({ now: () => now });
+
+    await store.set('key', { count: 1 }, 100);
+    expect(await store.get('key')).toEqual({ count: 1 });
+
+    now = 100;
+    expect(await store.get('key')).toBeUndefined();
+  });
+});
+
+describe('rateLimit middleware', () => {
+  const call = async (middleware, req = { ip: '1.2.3.4' }) => {
+    const res = { set: jest.fn() };
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+
+    return { headers: res.set.mock.calls[0] && res.set.mock.calls[0][0], next };
+  };
+
+  it('should set RateLimit headers and pass a 429 error once over the limit', async () => {
+    const limiter = rateLimit({
+      name: 'test',
+      limit: 1,
+      windowMs: 60000,
+      store: new MemoryStore(),
+      enabled: true,
+    });
+
+    const first = await call(limiter);
+    const second = await call(limiter);
+
+    expect(first.headers['RateLimit-Limit']).toBe('1');
+    expect(first.headers['RateLimit-Remaining']).toBe('0');
+    expect(first.next).toHaveBeenCalledWith();
+    expect(second.next).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 429, code: 'RATE_LIMITED', retryAfter: 60 })
+    );
+  });
+
+  it('should key by user id when authenticated', async () => {
+    const limiter = rateLimit({
+      name: 'test',
+      keyBy: 'user',
+      limit: 1,
+      windowMs: 60000,
+      store: new MemoryStore(),
+      enabled: true,
+    });
+
+    await call(limiter, { ip: '1.1.1.1', user: { id: 'a' } });
+    const otherUser = await call(limiter, { ip: '1.1.1.1', user: { id: 'b' } });
+
+    expect(otherUser.next).toHaveBeenCalledWith();
+  });
+
+  it('should let requests through when the store fails', async () => {
+    const store = { get: jest.fn().mockRejectedValue(new Error('down')), set: jest.fn() };
+    const limiter = rateLimit({ name: 'test', limit: 1, windowMs: 1000, store, enabled: true });
+
+    const { next } = await call(limiter);
+
+    expect(next).toHaveBeenCalledWith();
+  });
+
+  describe('behind a proxy', () => {
+    const appWith = (trustProxy) => {
+      const app = express();
+      app.set('trust proxy', trustProxy);
+      app.use(
+        rateLimit({
+          name: 'test',
+          limit: 1,
+          windowMs: 60000,
+          store: new MemoryStore(),
+          enabled: true,
+        })
+      );
+      app.get('/', (req, res) => res.json({ ip: req.ip }));
+      app.use((err, req, res, next) => res.status(err.statusCode).end());
+      return app;
+    };
+
+    const fromClient = (app, ip) => request(app).get('/').set('X-Forwarded-For', ip);
+
+    it('should limit each forwarded client separately when the proxy is trusted', async () => {
+      const app = appWith(1);
+
+      const first = await fromClient(app, '203.0.113.1');
+      const second = await fromClient(app, '203.0.113.2');
+
+      expect(first.body.ip).toBe('203.0.113.1');
+      expect(second.status).toBe(200);
+      expect((await fromClient(app, '203.0.113.1')).status).toBe(429);
+    });
+
+    it('should ignore X-Forwarded-For when the proxy is not trusted', async () => {
+      const app = appWith(false);
+
+      await fromClient(app, '203.0.113.1');
+      const spoofed = await fromClient(app, '203.0.113.2');
+
+      expect(spoofed.status).toBe(429);
+    });
+  });
+});
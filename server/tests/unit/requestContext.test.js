@@ -0,0 +1,59 @@
+// server/tests/unit/requestContext.test.js - Unit tests for request correlation ids
+
+const { requestId } = require('../../src/middleware/requestId');
+const { getRequestId, runWithContext } = require('../../src/utils/requestContext');
+const { logger } = require('../../src/utils/logger');
+
+const mockReqRes = (incoming) => ({
+  req: { get: jest.fn().mockReturnValue(incoming) },
+  res: { set: jest.fn() },
+});
+
+describe('requestId middleware', () => {
+  it('should reuse a well-formed incoming id', () => {
+    const { req, res } = mockReqRes('abc-123');
+    let seen;
+
+    requestId(req, res, () => {
+      seen = getRequestId();
+    });
+
+    expect(req.id).toBe('abc-123');
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'abc-123');
+    expect(seen).toBe('abc-123');
+  });
+
+  it('should replace malformed ids with a generated one', () => {
+    const { req, res } = mockReqRes('bad id\n');
+
+    requestId(req, res, () => {});
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it('should keep the id across asynchronous work', async () => {
+    const { req, res } = mockReqRes('async-id');
+
+    const seen = await new Promise((resolve) => {
+      requestId(req, res, () => {
+        setTimeout(() => resolve(getRequestId()), 1);
+      });
+    });
+
+    expect(seen).toBe('async-id');
+  });
+});
+
+describe('logger request context', () => {
+  const format = (info) => logger.format.transform({ level: 'info', ...info });
+
+  it('should add the current request id to log entries', () => {
+    const entry = runWithContext({ requestId: 'req-42' }, () => format({ message: 'hello' }));
+
+    expect(entry.requestId).toBe('req-42');
+  });
+
+  it('should leave entries outside a request untouched', () => {
+    expect(format({ message: 'hello' }).requestId).toBeUndefined();
+  });
+});
@@ -0,0 +1,71 @@
+// server/tests/unit/scheduler.test.js - Unit tests for the job scheduler
+
+const { Scheduler } = require('../../src/utils/scheduler');
+
+describe('Scheduler', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    scheduler = new Scheduler();
+  });
+
+  afterEach(() => {
+    scheduler.stop();
+    jest.useRealTimers();
+  });
+
+  it('should run jobs on their interval once started', async () => {
+    const task = jest.fn().mockResolvedValue();
+    scheduler.register('job', task, 1000);
+
+    jest.advanceTimersByTime(999);
+    expect(task).not.toHaveBeenCalled();
+
+    scheduler.start();
+    await jest.advanceTimersByTimeAsync(3000);
+
+    expect(task).toHaveBeenCalledTimes(3);
+  });
+
+  it('should stop running jobs after stop()', async () => {
+    const task = jest.fn().mockResolvedValue();
+    scheduler.register('job', task, 1000).start();
+
+    await jest.advanceTimersByTimeAsync(1000);
+    scheduler.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(scheduler.status().running).toBe(false);
+  });
+
+  it('should skip ticks while a previous run is in progress', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    scheduler.register('slow', task, 1000).start();
+
+    await jest.advanceTimersByTimeAsync(3000);
+    expect(task).toHaveBeenCalledTimes(1);
+
+    finish();
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  it('should record job failures in status', async () => {
+    scheduler.register('failing', () => Promise.reject(new Error('boom')), 1000).start();
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    const [job] = scheduler.status().jobs;
+    expect(job.lastError).toBe('boom');
+    expect(job.lastRunAt).toBeInstanceOf(Date);
+  });
+
+  it('should reject duplicate job names', () => {
+    scheduler.register('job', jest.fn(), 1000);
+
+    expect(() => scheduler.register('job', jest.fn(), 1000)).toThrow();
+  });
+});
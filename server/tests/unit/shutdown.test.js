@@ -0,0 +1,84 @@
+// server/tests/unit/shutdown.test.js - Unit tests for graceful shutdown
+
+const http = require('http');
+const mongoose = require('mongoose');
+const { drainServer, gracefulShutdown, isShuttingDown } = require('../../src/utils/shutdown');
+
+// Server whose /slow route answers after `delayMs`
+const startServer = (delayMs) =>
+  new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      setTimeout(() => res.end('done'), delayMs);
+    });
+    server.listen(0, () => resolve(server));
+  });
+
+const get = (server) =>
+  new Promise((resolve, reject) => {
+    http
+      .get({ port: server.address().port, path: '/slow' }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => resolve(body));
+      })
+      .on('error', reject);
+  });
+
+// Wait until the server has accepted the request
+const waitForConnection = (server) =>
+  new Promise((resolve) => {
+    server.once('request', () => resolve());
+  });
+
+describe('drainServer', () => {
+  it('should let in-flight requests finish before closing', async () => {
+    const server = await startServer(50);
+    const pending = get(server);
+    await waitForConnection(server);
+
+    const drained = await drainServer(server, 1000);
+
+    expect(drained).toBe(true);
+    await expect(pending).resolves.toBe('done');
+    expect(server.listening).toBe(false);
+  });
+
+  it('should destroy connections still open after the timeout', async () => {
+    const server = await startServer(5000);
+    const pending = get(server);
+    await waitForConnection(server);
+
+    const drained = await drainServer(server, 20);
+
+    expect(drained).toBe(false);
+    await expect(pending).rejects.toThrow();
+  });
+});
+
+describe('gracefulShutdown', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should stop jobs, drain, flush views and close the database in order', async () => {
+    const calls = [];
+    const server = await startServer(0);
+    const scheduler = { stop: jest.fn(() => calls.push('scheduler')) };
+    const viewCounter = { flush: jest.fn(async () => calls.push('views')) };
+    jest.spyOn(mongoose.connection, 'close').mockImplementation(async () => {
+      calls.push('database');
+    });
+
+    const exitCode = await gracefulShutdown({ server, scheduler, viewCounter, timeoutMs: 1000 });
+
+    expect(exitCode).toBe(0);
+    expect(calls).toEqual(['scheduler', 'views', 'database']);
+    expect(isShuttingDown()).toBe(true);
+
+    // Repeated signals don't start a second shutdown
+    await expect(gracefulShutdown({ server, scheduler, viewCounter })).resolves.toBeUndefined();
+    expect(scheduler.stop).toHaveBeenCalledTimes(1);
+  });
+});
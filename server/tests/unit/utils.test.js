@@ -2,10 +2,15 @@
 
 const {
   generateSlug,
+  normalizeTags,
   validateEmail,
   sanitizeInput,
   formatDate,
   calculateReadingTime,
+  countWords,
+  createExcerpt,
+  parseSearchTerms,
+  highlightMatches,
 } = require('../../src/utils/helpers');
 
 describe('Utility Functions', () => {
@@ -36,6 +41,23 @@ describe('Utility Functions', () => {
     });
   });
 
+  describe('normalizeTags', () => {
+    it('should slugify and dedupe tags case-insensitively', () => {
+      expect(normalizeTags(['JavaScript', 'javascript', 'Web Dev'])).toEqual([
+        'javascript',
+        'web-dev',
+      ]);
+    });
+
+    it('should split a comma-separated string and drop empty tags', () => {
+      expect(normalizeTags('node.js, ,React')).toEqual(['nodejs', 'react']);
+    });
+
+    it('should return an empty array for missing tags', () => {
+      expect(normalizeTags(undefined)).toEqual([]);
+    });
+  });
+
   describe('validateEmail', () => {
     it('should validate correct email formats', () => {
       expect(validateEmail('test@example.com')).toBe(true);
@@ -123,11 +145,87 @@ describe('Utility Functions', () => {
       expect(result).toBe(1);
     });
   });
+
+  describe('countWords', () => {
+    it('should count whitespace-separated words', () => {
+      expect(countWords('one two  three\nfour\tfive')).toBe(5);
+    });
+
+    it('should handle empty content', () => {
+      expect(countWords('')).toBe(0);
+      expect(countWords('   ')).toBe(0);
+      expect(countWords(undefined)).toBe(0);
+    });
+  });
+
+  describe('createExcerpt', () => {
+    it('should return short text unchanged', () => {
+      expect(createExcerpt('A short post.', 200)).toBe('A short post.');
+    });
+
+    it('should collapse whitespace', () => {
+      expect(createExcerpt('  first line\n\nsecond   line ')).toBe('first line second line');
+    });
+
+    it('should cut long text at a word boundary and add an ellipsis', () => {
+      const excerpt = createExcerpt('The quick brown fox jumps over the lazy dog', 20);
+
+      expect(excerpt).toBe('The quick brown fox…');
+      expect(excerpt.length).toBeLessThanOrEqual(20);
+    });
+
+    it('should not leave punctuation before the ellipsis', () => {
+      expect(createExcerpt('Hello, world. Goodbye, world.', 15)).toBe('Hello, world…');
+    });
+
+    it('should cut a single long word', () => {
+      expect(createExcerpt('a'.repeat(50), 10)).toBe(`${'a'.repeat(9)}…`);
+    });
+  });
+
+  describe('parseSearchTerms', () => {
+    it('should split words and keep quoted phrases', () => {
+      expect(parseSearchTerms('mongo "full text" search')).toEqual(['mongo', 'full text', 'search']);
+    });
+
+    it('should drop negated terms', () => {
+      expect(parseSearchTerms('mongo -sql -"old stuff"')).toEqual(['mongo']);
+    });
+
+    it('should handle empty queries', () => {
+      expect(parseSearchTerms('')).toEqual([]);
+    });
+  });
+
+  describe('highlightMatches', () => {
+    it('should wrap matches in mark tags case-insensitively', () => {
+      const result = highlightMatches('Mongo and mongo', ['mongo']);
+      expect(result).toBe('<mark>Mongo</mark> and <mark>mongo</mark>');
+    });
+
+    it('should escape HTML in the source text', () => {
+      const result = highlightMatches('<script>mongo</script>', ['mongo']);
+      expect(result).toBe('&lt;script&gt;<mark>mongo</mark>&lt;/script&gt;');
+    });
+
+    it('should center long text on the first match', () => {
+      const text = `${'a '.repeat(100)}needle${' b'.repeat(100)}`;
+      const result = highlightMatches(text, ['needle'], 20);
+      expect(result.startsWith('…')).toBe(true);
+      expect(result.endsWith('…')).toBe(true);
+      expect(result).toContain('<mark>needle</mark>');
+    });
+
+    it('should treat regex characters in terms literally', () => {
+      expect(highlightMatches('c++ rocks', ['c++'])).toBe('<mark>c++</mark> rocks');
+    });
+  });
 });
 
 // Middleware tests
 describe('Auth Middleware', () => {
   const { verifyToken } = require('../../src/middleware/auth');
+  const User = require('../../src/models/User');
   const jwt = require('jsonwebtoken');
 
   let mockReq, mockRes, mockNext;
@@ -141,34 +239,131 @@ describe('Auth Middleware', () => {
       json: jest.fn().mockReturnThis(),
     };
     mockNext = jest.fn();
+    jest.spyOn(User, 'findById').mockResolvedValue({ tokensRevokedAt: null });
   });
 
-  it('should call next() with valid token', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should call next() with valid token', async () => {
   const token = jwt.sign({ id: '123' }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
     mockReq.headers.authorization = `Bearer ${token}`;
 
-    verifyToken(mockReq, mockRes, mockNext);
+    await verifyToken(mockReq, mockRes, mockNext);
 
-    expect(mockNext).toHaveBeenCalled();
+    expect(mockNext).toHaveBeenCalledWith();
     expect(mockReq.user).toBeDefined();
   });
 
-  it('should return 401 if no token provided', () => {
-    verifyToken(mockReq, mockRes, mockNext);
+  it('should pass a 401 error on if no token provided', async () => {
+    await verifyToken(mockReq, mockRes, mockNext);
 
-    expect(mockRes.status).toHaveBeenCalledWith(401);
-    expect(mockRes.json).toHaveBeenCalledWith(
-      expect.objectContaining({ error: expect.any(String) })
+    expect(mockNext).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 401, code: 'TOKEN_MISSING' })
     );
-    expect(mockNext).not.toHaveBeenCalled();
+    expect(mockReq.user).toBeUndefined();
   });
 
-  it('should return 401 if token is invalid', () => {
+  it('should pass a 401 error on if token is invalid', async () => {
     mockReq.headers.authorization = 'Bearer invalid-token';
 
-    verifyToken(mockReq, mockRes, mockNext);
+    await verifyToken(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 401, code: 'TOKEN_INVALID' })
+    );
+    expect(mockReq.user).toBeUndefined();
+  });
+
+  it('should pass a 401 error on if token was issued before revocation', async () => {
+    const iat = Math.floor(Date.now() / 1000) - 60;
+    const token = jwt.sign({ id: '123', iat }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    mockReq.headers.authorization = `Bearer ${token}`;
+    User.findById.mockResolvedValue({ tokensRevokedAt: new Date() });
+
+    await verifyToken(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 401, code: 'TOKEN_INVALID' })
+    );
+    expect(mockReq.user).toBeUndefined();
+  });
+
+  it('should pass a 401 error on if the user no longer exists', async () => {
+    const token = jwt.sign({ id: '123' }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    mockReq.headers.authorization = `Bearer ${token}`;
+    User.findById.mockResolvedValue(null);
+
+    await verifyToken(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(
+      expect.objectContaining({ statusCode: 401, code: 'TOKEN_INVALID' })
+    );
+    expect(mockReq.user).toBeUndefined();
+  });
+
+  it('should pass database errors on instead of rejecting the token', async () => {
+    const token = jwt.sign({ id: '123' }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    mockReq.headers.authorization = `Bearer ${token}`;
+    const dbError = new Error('connection timed out');
+    User.findById.mockRejectedValue(dbError);
+
+    await verifyToken(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(dbError);
+    expect(mockReq.user).toBeUndefined();
+  });
+
+  it('should not treat database errors as anonymous in optionalAuth', async () => {
+    const { optionalAuth } = require('../../src/middleware/auth');
+    const token = jwt.sign({ id: '123' }, process.env.JWT_SECRET || 'your-secret-key-change-in-production');
+    mockReq.headers.authorization = `Bearer ${token}`;
+    const dbError = new Error('connection timed out');
+    User.findById.mockRejectedValue(dbError);
+
+    await optionalAuth(mockReq, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(dbError);
+  });
+});
+
+describe('Authorization Middleware', () => {
+  const { authorize, canModify } = require('../../src/middleware/auth');
+
+  let mockRes, mockNext;
+
+  beforeEach(() => {
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+    mockNext = jest.fn();
+  });
+
+  it('should call next() when the role is allowed', () => {
+    authorize('editor', 'admin')({ user: { role: 'admin' } }, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith();
+  });
+
+  it('should pass a 403 error on when the role is not allowed', () => {
+    authorize('editor', 'admin')({ user: { role: 'reader' } }, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('should pass a 401 error on when there is no user', () => {
+    authorize('admin')({}, mockRes, mockNext);
+
+    expect(mockNext).toHaveBeenCalledWith(expect.objectContaining({ statusCode: 401 }));
+  });
 
-    expect(mockRes.status).toHaveBeenCalledWith(401);
-    expect(mockNext).not.toHaveBeenCalled();
+  it('should let owners and moderators modify a resource', () => {
+    expect(canModify({ id: 'a', role: 'author' }, 'a')).toBe(true);
+    expect(canModify({ id: 'b', role: 'editor' }, 'a')).toBe(true);
+    expect(canModify({ id: 'b', role: 'admin' }, 'a')).toBe(true);
+    expect(canModify({ id: 'b', role: 'author' }, 'a')).toBe(false);
+    expect(canModify(undefined, 'a')).toBe(false);
   });
 });
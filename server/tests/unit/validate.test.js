@@ -0,0 +1,143 @@
+// server/tests/unit/validate.test.js - Unit tests for the validation middleware
+
+const { validate } = require('../../src/middleware/validate');
+
+const run = (schemas, req) => {
+  const next = jest.fn();
+
+  validate(schemas)(req, {}, next);
+
+  // The ValidationError passed to next, if any
+  const [error] = next.mock.calls[0];
+
+  return { req, next, error };
+};
+
+describe('validate middleware', () => {
+  it('should strip unknown fields and call next', () => {
+    const { req, next } = run(
+      { body: { title: { type: 'string', required: true } } },
+      { body: { title: 'Hello', views: 1000, status: 'published' } }
+    );
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.body).toEqual({ title: 'Hello' });
+  });
+
+  it('should coerce query strings to their declared types', () => {
+    const { req } = run(
+      {
+        query: {
+          page: { type: 'integer', min: 1 },
+          draft: { type: 'boolean' },
+          from: { type: 'date' },
+          tags: { type: 'array', items: { type: 'string' } },
+        },
+      },
+      { query: { page: '2', draft: 'true', from: '2024-01-01', tags: 'a, b' } }
+    );
+
+    expect(req.query.page).toBe(2);
+    expect(req.query.draft).toBe(true);
+    expect(req.query.from).toBeInstanceOf(Date);
+    expect(req.query.tags).toEqual(['a', 'b']);
+  });
+
+  it('should report every field error at once', () => {
+    const { error } = run(
+      {
+        params: { id: { type: 'objectId', required: true } },
+        query: { limit: { type: 'integer', min: 1 } },
+        body: {
+          title: { type: 'string', required: true },
+          status: { type: 'string', enum: ['draft', 'published'] },
+        },
+      },
+      { params: { id: 'nope' }, query: { limit: 'ten' }, body: { status: 'archived' } }
+    );
+
+    expect(error.statusCode).toBe(400);
+    expect(error.code).toBe('VALIDATION_FAILED');
+    expect(error.errors).toEqual([
+      { field: 'id', location: 'params', message: 'id must be a valid ID' },
+      { field: 'limit', location: 'query', message: 'limit must be a number' },
+      { field: 'title', location: 'body', message: 'title is required' },
+      { field: 'status', location: 'body', message: 'status must be one of: draft, published' },
+    ]);
+  });
+
+  it('should treat empty query values as missing unless allowed', () => {
+    const { req } = run(
+      {
+        query: {
+          category: { type: 'string' },
+          cursor: { type: 'string', allowEmpty: true },
+        },
+      },
+      { query: { category: '', cursor: '' } }
+    );
+
+    expect(req.query).toEqual({ cursor: '' });
+  });
+
+  it('should reject null unless the field is nullable', () => {
+    const { req, error } = run(
+      {
+        body: {
+          category: { type: 'string', nullable: true },
+          title: { type: 'string' },
+        },
+      },
+      { body: { category: null, title: null } }
+    );
+
+    expect(req.body.category).toBeNull();
+    expect(error.errors).toEqual([
+      { field: 'title', location: 'body', message: 'title cannot be null' },
+    ]);
+  });
+
+  it('should enforce string length limits after trimming', () => {
+    const { error } = run(
+      { body: { title: { type: 'string', minLength: 1, maxLength: 5 } } },
+      { body: { title: '   ' } }
+    );
+
+    expect(error.errors[0].message).toBe('title cannot be empty');
+  });
+
+  it('should check array items against their allowed values', () => {
+    const fields = { type: 'array', items: { type: 'string', enum: ['title', 'excerpt'] } };
+
+    const ok = run({ query: { fields } }, { query: { fields: 'title,excerpt' } });
+    expect(ok.error).toBeUndefined();
+    expect(ok.req.query.fields).toEqual(['title', 'excerpt']);
+
+    const { error } = run({ query: { fields } }, { query: { fields: 'title,password' } });
+    expect(error.errors[0].message).toBe('fields items must be one of: title, excerpt');
+  });
+
+  it('should only accept actual strings for strict string fields', () => {
+    const schema = { body: { password: { type: 'string', strict: true } } };
+
+    expect(run(schema, { body: { password: 123456 } }).error.errors[0].message).toBe(
+      'password must be a string'
+    );
+    expect(run(schema, { body: { password: '123456' } }).error).toBeUndefined();
+  });
+
+  it('should check strings against a pattern', () => {
+    const schema = { body: { slug: { type: 'string', pattern: /^[a-z-]+$/ } } };
+    const withMessage = {
+      body: { slug: { type: 'string', pattern: /^[a-z-]+$/, patternMessage: 'is not a slug' } },
+    };
+
+    expect(run(schema, { body: { slug: 'a-slug' } }).error).toBeUndefined();
+    expect(run(schema, { body: { slug: 'A Slug' } }).error.errors[0].message).toBe(
+      'slug has an invalid format'
+    );
+    expect(run(withMessage, { body: { slug: 'A Slug' } }).error.errors[0].message).toBe(
+      'slug is not a slug'
+    );
+  });
+});
@@ -0,0 +1,109 @@
+// server/tests/unit/viewCounter.test.js - Unit tests for buffered view counting
+
+const Post = require('../../src/models/Post');
+const PostView = require('../../src/models/PostView');
+const { ViewCounter, viewerKey } = require('../../src/utils/viewCounter');
+
+describe('ViewCounter', () => {
+  let now;
+  let counter;
+
+  beforeEach(() => {
+    now = 1000000;
+    counter = new ViewCounter({ windowMs: 60000, now: () => now });
+    jest.spyOn(Post, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(PostView, 'bulkWrite').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should count the first view from a viewer', () => {
+    expect(counter.record('post1', 'user:a')).toBe(true);
+    expect(counter.pendingCount('post1')).toBe(1);
+  });
+
+  it('should deduplicate repeat views inside the window', () => {
+    counter.record('post1', 'user:a');
+    now += 59999;
+
+    expect(counter.record('post1', 'user:a')).toBe(false);
+    expect(counter.pendingCount('post1')).toBe(1);
+  });
+
+  it('should count repeat views after the window', () => {
+    counter.record('post1', 'user:a');
+    now += 60000;
+
+    expect(counter.record('post1', 'user:a')).toBe(true);
+  });
+
+  it('should count different viewers separately', () => {
+    counter.record('post1', 'user:a');
+    counter.record('post1', 'user:b');
+    counter.record('post2', 'user:a');
+
+    expect(counter.pendingCount('post1')).toBe(2);
+    expect(counter.pendingCount('post2')).toBe(1);
+  });
+
+  it('should flush one $inc per post and clear the buffer', async () => {
+    counter.record('post1', 'user:a');
+    counter.record('post1', 'user:b');
+    counter.record('post2', 'user:a');
+
+    await counter.flush();
+
+    const postOps = Post.bulkWrite.mock.calls[0][0];
+    expect(postOps).toEqual([
+      { updateOne: { filter: { _id: 'post1' }, update: { $inc: { views: 2 } } } },
+      { updateOne: { filter: { _id: 'post2' }, update: { $inc: { views: 1 } } } },
+    ]);
+    expect(PostView.bulkWrite.mock.calls[0][0]).toHaveLength(3);
+    expect(counter.pendingCount('post1')).toBe(0);
+  });
+
+  it('should not write anything when nothing is pending', async () => {
+    await counter.flush();
+
+    expect(Post.bulkWrite).not.toHaveBeenCalled();
+  });
+
+  it('should keep the batch for retry when a write fails', async () => {
+    Post.bulkWrite.mockRejectedValueOnce(new Error('db down'));
+    counter.record('post1', 'user:a');
+
+    await expect(counter.flush()).rejects.toThrow('db down');
+    expect(counter.pendingCount('post1')).toBe(1);
+  });
+
+  it('should only retry the posts whose $inc failed', async () => {
+    const error = Object.assign(new Error('write failed'), {
+      writeErrors: [{ index: 1, errmsg: 'failed' }],
+    });
+    Post.bulkWrite.mockRejectedValueOnce(error);
+    counter.record('post1', 'user:a');
+    counter.record('post2', 'user:a');
+    counter.record('post2', 'user:b');
+
+    await expect(counter.flush()).rejects.toThrow('write failed');
+    expect(counter.pendingCount('post1')).toBe(0);
+    expect(counter.pendingCount('post2')).toBe(2);
+  });
+
+  it('should retry the whole batch when the viewer upserts fail', async () => {
+    PostView.bulkWrite.mockRejectedValueOnce(new Error('db down'));
+    counter.record('post1', 'user:a');
+
+    await expect(counter.flush()).rejects.toThrow('db down');
+    expect(Post.bulkWrite).not.toHaveBeenCalled();
+    expect(counter.pendingCount('post1')).toBe(1);
+  });
+
+  it('should key viewers by user id or hashed IP', () => {
+    expect(viewerKey({ user: { id: 'abc' }, ip: '1.2.3.4' })).toBe('user:abc');
+    expect(viewerKey({ ip: '1.2.3.4' })).toMatch(/^ip:[a-f0-9]{32}$/);
+    expect(viewerKey({ ip: '1.2.3.4' })).not.toContain('1.2.3.4');
+  });
+});